@@ -0,0 +1,125 @@
+"""Integration tests for the color mode applied to the document."""
+from typing import Generator, List
+
+import pytest
+from selenium.webdriver.common.by import By
+
+from reflex.testing import AppHarness
+
+from . import utils
+
+# Record the classes of the document in the first frame displaying the page.
+FIRST_PAINT_SCRIPT = """
+const record = () => {
+  if (document.getElementById("toggle")) {
+    window.__first_paint_classes = [...document.documentElement.classList];
+  } else {
+    requestAnimationFrame(record);
+  }
+};
+requestAnimationFrame(record);
+"""
+
+
+def ColorModeApp():
+    """App toggling the color mode."""
+    import reflex as rx
+
+    app = rx.App(state=rx.State)
+
+    @app.add_page
+    def index():
+        return rx.fragment(
+            rx.button("Toggle", id="toggle", on_click=rx.toggle_color_mode),
+        )
+
+
+@pytest.fixture(scope="module")
+def color_mode_app(tmp_path_factory) -> Generator[AppHarness, None, None]:
+    """Start ColorModeApp app at tmp_path via AppHarness.
+
+    Args:
+        tmp_path_factory: pytest tmp_path_factory fixture
+
+    Yields:
+        running AppHarness instance
+    """
+    with AppHarness.create(
+        root=tmp_path_factory.mktemp("color_mode_app"),
+        app_source=ColorModeApp,  # type: ignore
+    ) as harness:
+        yield harness
+
+
+@pytest.fixture
+def driver(color_mode_app: AppHarness):
+    """Get an instance of the browser open to the color_mode_app app.
+
+    Args:
+        color_mode_app: harness for ColorModeApp app
+
+    Yields:
+        WebDriver instance.
+    """
+    assert color_mode_app.app_instance is not None, "app is not running"
+    driver = color_mode_app.frontend()
+    try:
+        yield driver
+    finally:
+        driver.quit()
+
+
+def get_document_classes(driver) -> List[str]:
+    """Get the classes of the document element.
+
+    Args:
+        driver: selenium WebDriver open to the app
+
+    Returns:
+        The classes of the document element.
+    """
+    return driver.execute_script("return [...document.documentElement.classList];")
+
+
+def test_toggle_color_mode(color_mode_app: AppHarness, driver):
+    """Toggle the color mode and check the class of the document.
+
+    Args:
+        color_mode_app: harness for ColorModeApp app
+        driver: selenium WebDriver open to the app
+    """
+    assert color_mode_app._poll_for(lambda: "light" in get_document_classes(driver))
+
+    toggle = driver.find_element(By.ID, "toggle")
+    toggle.click()
+    assert color_mode_app._poll_for(lambda: "dark" in get_document_classes(driver))
+    assert "light" not in get_document_classes(driver)
+
+    toggle.click()
+    assert color_mode_app._poll_for(lambda: "light" in get_document_classes(driver))
+    assert "dark" not in get_document_classes(driver)
+
+
+def test_stored_color_mode_first_paint(color_mode_app: AppHarness, driver):
+    """Check that the stored color mode is applied before the page is first displayed.
+
+    Args:
+        color_mode_app: harness for ColorModeApp app
+        driver: selenium WebDriver open to the app
+    """
+    if not hasattr(driver, "execute_cdp_cmd"):
+        pytest.skip("Recording the first paint requires a chromium driver.")
+    local_storage = utils.LocalStorage(driver)
+    local_storage["chakra-ui-color-mode"] = "dark"
+    driver.execute_cdp_cmd(
+        "Page.addScriptToEvaluateOnNewDocument", {"source": FIRST_PAINT_SCRIPT}
+    )
+    driver.refresh()
+
+    get_first_paint_classes = "return window.__first_paint_classes;"
+    assert color_mode_app._poll_for(
+        lambda: driver.execute_script(get_first_paint_classes)
+    )
+    first_paint_classes = driver.execute_script(get_first_paint_classes)
+    assert "dark" in first_paint_classes
+    assert "light" not in first_paint_classes
@@ -0,0 +1,108 @@
+"""Integration tests for the patches of large list vars applied on the client."""
+import json
+from typing import Generator
+
+import pytest
+from selenium.webdriver.common.by import By
+
+from reflex.testing import AppHarness
+
+
+def StatePatches():
+    """App appending items to a large list, sent as patches."""
+    from typing import List
+
+    import reflex as rx
+
+    class PatchState(rx.State):
+        items: List[int] = list(range(100))
+
+        def append_item(self):
+            self.items.append(len(self.items))
+
+        def extend_items(self):
+            self.items.extend([len(self.items), len(self.items) + 1])
+
+        def pop_item(self):
+            self.items.pop(0)
+
+    app = rx.App(state=rx.State)
+
+    @app.add_page
+    def index():
+        return rx.fragment(
+            rx.chakra.input(
+                id="token",
+                value=PatchState.router.session.client_token,
+                is_read_only=True,
+            ),
+            rx.text(PatchState.items.to_string(), id="items"),
+            rx.button("Append", id="append", on_click=PatchState.append_item),
+            rx.button("Extend", id="extend", on_click=PatchState.extend_items),
+            rx.button("Pop", id="pop", on_click=PatchState.pop_item),
+        )
+
+
+@pytest.fixture(scope="module")
+def state_patches(tmp_path_factory) -> Generator[AppHarness, None, None]:
+    """Start StatePatches app at tmp_path via AppHarness.
+
+    Args:
+        tmp_path_factory: pytest tmp_path_factory fixture
+
+    Yields:
+        running AppHarness instance
+    """
+    with AppHarness.create(
+        root=tmp_path_factory.mktemp("state_patches"),
+        app_source=StatePatches,  # type: ignore
+    ) as harness:
+        yield harness
+
+
+@pytest.fixture
+def driver(state_patches: AppHarness):
+    """Get an instance of the browser open to the state_patches app.
+
+    Args:
+        state_patches: harness for StatePatches app
+
+    Yields:
+        WebDriver instance.
+    """
+    assert state_patches.app_instance is not None, "app is not running"
+    driver = state_patches.frontend()
+    try:
+        token_input = driver.find_element(By.ID, "token")
+        assert token_input
+        # wait for the backend connection to send the token
+        token = state_patches.poll_for_value(token_input)
+        assert token is not None
+
+        yield driver
+    finally:
+        driver.quit()
+
+
+def test_state_patches(state_patches: AppHarness, driver):
+    """Append to a large list and check the patched list displayed.
+
+    Args:
+        state_patches: harness for StatePatches app
+        driver: selenium WebDriver open to the app
+    """
+    items = driver.find_element(By.ID, "items")
+    expected = list(range(100))
+    assert json.loads(state_patches.poll_for_content(items)) == expected
+
+    for button_id, change in [
+        ("append", lambda: expected.append(100)),
+        ("extend", lambda: expected.extend([101, 102])),
+        ("pop", lambda: expected.pop(0)),
+        ("append", lambda: expected.append(102)),
+    ]:
+        displayed = items.text
+        driver.find_element(By.ID, button_id).click()
+        change()
+        text = state_patches.poll_for_content(items, exp_not_equal=displayed)
+        assert json.loads(text) == expected
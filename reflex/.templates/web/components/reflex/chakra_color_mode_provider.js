@@ -1,20 +1,22 @@
 import { useColorMode as chakraUseColorMode } from "@chakra-ui/react"
-import { useTheme } from "next-themes"
-import { useEffect } from "react"
 import { ColorModeContext } from "/utils/context.js"
+import { getDocumentColorMode, useColorModeState } from "/utils/helpers/colormode.js"
 
-export default function ChakraColorModeProvider({ children }) {
-  const {colorMode, toggleColorMode} = chakraUseColorMode()
-  const {theme, setTheme} = useTheme()
+// next-themes persists the selected color mode or theme, chakra starts from the
+// color mode applied to the document and then follows the ColorModeContext.
+export const colorModeManager = {
+  type: "localStorage",
+  ssr: false,
+  get: (init) => (typeof document !== "undefined" ? getDocumentColorMode() : init),
+  set: () => {},
+}
 
-  useEffect(() => {
-    if (colorMode != theme) {
-        toggleColorMode()
-    }
-  }, [theme])
+export default function ChakraColorModeProvider({ children }) {
+  const {setColorMode} = chakraUseColorMode()
+  const colorModeContext = useColorModeState(setColorMode)
 
   return (
-    <ColorModeContext.Provider value={[ colorMode, toggleColorMode ]}>
+    <ColorModeContext.Provider value={colorModeContext}>
       {children}
     </ColorModeContext.Provider>
   )
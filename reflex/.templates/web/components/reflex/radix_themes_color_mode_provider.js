@@ -1,21 +1,12 @@
-import { useTheme } from "next-themes"
-import { useEffect, useState } from "react"
-import { ColorModeContext, defaultColorMode } from "/utils/context.js"
+import { ColorModeContext } from "/utils/context.js"
+import { useColorModeState } from "/utils/helpers/colormode.js"
 
 
 export default function RadixThemesColorModeProvider({ children }) {
-    const {theme, setTheme} = useTheme()
-    const [colorMode, setColorMode] = useState(defaultColorMode)
-  
-    useEffect(() => {
-      setColorMode(theme)
-    }, [theme])
-  
-    const toggleColorMode = () => {
-      setTheme(theme === "light" ? "dark" : "light")
-    }
+    const colorModeContext = useColorModeState()
+
     return (
-      <ColorModeContext.Provider value={[ colorMode, toggleColorMode ]}>
+      <ColorModeContext.Provider value={colorModeContext}>
         {children}
       </ColorModeContext.Provider>
     )
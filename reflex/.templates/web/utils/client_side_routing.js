@@ -1,5 +1,7 @@
 import { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/router";
+import { dynamicRoutes } from "/utils/context.js";
+import { findRoute, getRoutePath, parseQuery } from "/utils/helpers/routes.js";
 
 /**
  * React hook for use in /404 page to enable client-side routing.
@@ -7,6 +9,10 @@ import { useRouter } from "next/router";
  * Uses the next/router to redirect to the provided URL when loading
  * the 404 page (for example as a fallback in static hosting situations).
  *
+ * Static hosts have no file for the paths of dynamic routes, like
+ * /post/123 for /post/[id], so the path is matched against the dynamic routes
+ * of the app and the matching page is rendered with the params in the query.
+ *
  * @returns {boolean} routeNotFound - true if the current route is an actual 404
  */
 export const useClientSideRouting = () => {
@@ -19,12 +25,25 @@ export const useClientSideRouting = () => {
       !didRedirect.current  // have not tried redirecting yet
     ) {
       didRedirect.current = true  // never redirect twice to avoid "Hard Navigate" error
+      const { search, hash } = window.location
+      // the router adds the base path back
+      const path = getRoutePath(window.location.pathname, router.basePath)
+      const match = findRoute(dynamicRoutes, path)
       // attempt to redirect to the route in the browser address bar once
-      router.replace({
-          pathname: window.location.pathname,
-          query: window.location.search.slice(1),
-      })
-      .catch((e) => {
+      const redirect = match
+        ? router.replace(
+            {
+              pathname: match.route,
+              query: { ...parseQuery(search), ...match.params },
+            },
+            path + search + hash,
+          )
+        : router.replace({
+            pathname: path,
+            query: search.slice(1),
+            hash,
+          })
+      redirect.catch((e) => {
         setRouteNotFound(true)  // navigation failed, so this is a real 404
       })
     }
@@ -33,4 +52,4 @@ export const useClientSideRouting = () => {
   // Return the reactive bool, to avoid flashing 404 page until we know for sure
   // the route is not found.
   return routeNotFound
-}
\ No newline at end of file
+}
@@ -0,0 +1,156 @@
+import { useTheme } from "next-themes";
+import {
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import {
+  ColorModeContext,
+  colorModeThemes,
+  defaultColorMode,
+} from "/utils/context.js";
+
+// The color modes that can be selected besides the named themes.
+export const COLOR_MODES = ["light", "dark", "system"];
+
+// Layout effects run before the first paint in the browser, but only warn on the server.
+const useBrowserLayoutEffect =
+  typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+/**
+ * Get the names that can be selected with setColorMode.
+ * @returns The color modes followed by the names of the themes.
+ */
+export function getColorModeNames() {
+  return [...COLOR_MODES, ...Object.keys(colorModeThemes)];
+}
+
+/**
+ * Resolve a color mode or theme name to the color mode it displays.
+ * @param name The color mode or theme name, "system" already resolved.
+ * @returns "light" or "dark".
+ */
+export function resolveColorMode(name) {
+  return (
+    colorModeThemes[name]?.appearance ?? (name === "dark" ? "dark" : "light")
+  );
+}
+
+/**
+ * Get the color mode applied to the document before hydration by the blocking
+ * script of next-themes, from the stored name and the system preference.
+ * @returns "light" or "dark".
+ */
+export function getDocumentColorMode() {
+  return document.documentElement.classList.contains("dark") ? "dark" : "light";
+}
+
+/**
+ * Get the class set on the document for each color mode and named theme. The
+ * class of a named theme is its color mode, so light and dark styles still
+ * apply.
+ * @returns The classes by color mode and theme name.
+ */
+export function getColorModeClasses() {
+  return {
+    light: "light",
+    dark: "dark",
+    ...Object.fromEntries(
+      Object.entries(colorModeThemes).map(([name, theme]) => [
+        name,
+        theme.appearance,
+      ])
+    ),
+  };
+}
+
+/**
+ * Create the value of the ColorModeContext.
+ *
+ * @param colorMode The displayed color mode, "light" or "dark".
+ * @param theme The selected color mode or theme name, possibly "system".
+ * @param setTheme The function selecting a color mode or theme name.
+ * @returns The context value: [colorMode, toggleColorMode, setColorMode, colorModeTheme].
+ */
+export function createColorModeContext(colorMode, theme, setTheme) {
+  const toggleColorMode = () =>
+    setTheme(colorMode === "light" ? "dark" : "light");
+  const setColorMode = (name) => {
+    if (!getColorModeNames().includes(name)) {
+      console.warn(
+        `Unknown color mode ${name}, expected one of ${getColorModeNames()}`
+      );
+      return;
+    }
+    setTheme(name);
+  };
+  return [colorMode, toggleColorMode, setColorMode, theme];
+}
+
+/**
+ * React hook holding the color mode of a color mode provider, all of them
+ * following the one selected with next-themes.
+ *
+ * The first render matches the prerendered page, then the color mode applied
+ * to the document is set before the first paint, so it does not flash.
+ *
+ * @param onColorMode Function called with each displayed color mode before it
+ *   is painted, to make a UI library follow it.
+ * @returns The value of the ColorModeContext, see createColorModeContext.
+ */
+export function useColorModeState(onColorMode = null) {
+  const { theme, resolvedTheme, setTheme } = useTheme();
+  const [state, setState] = useState({
+    colorMode: resolveColorMode(defaultColorMode),
+    theme: defaultColorMode,
+  });
+
+  useBrowserLayoutEffect(() => {
+    // next-themes only resolves "system" after the first paint.
+    const colorMode =
+      resolvedTheme === undefined || resolvedTheme === "system"
+        ? getDocumentColorMode()
+        : resolveColorMode(resolvedTheme);
+    setState({ colorMode, theme: theme ?? defaultColorMode });
+    onColorMode?.(colorMode);
+  }, [theme, resolvedTheme]);
+
+  return createColorModeContext(state.colorMode, state.theme, setTheme);
+}
+
+/**
+ * React hook persisting the selected color mode or theme name to a backend
+ * state var, so it follows the user across devices.
+ *
+ * Once hydrated, the value of the var is applied when it changes, and the
+ * local selections are sent with onChange.
+ *
+ * @param value The value of the state var.
+ * @param hydrated Whether the state is hydrated.
+ * @param onChange Function sending the selected name to the backend.
+ */
+export function useColorModeSync(value, hydrated, onChange) {
+  const [, , setColorMode, colorModeTheme] = useContext(ColorModeContext);
+  // The last value received from the backend.
+  const synced = useRef(null);
+
+  useEffect(() => {
+    if (!hydrated || colorModeTheme === undefined) {
+      return;
+    }
+    if (value !== synced.current) {
+      synced.current = value;
+      if (value) {
+        if (value !== colorModeTheme) {
+          setColorMode(value);
+        }
+        return;
+      }
+    }
+    if (colorModeTheme !== value) {
+      onChange(colorModeTheme);
+    }
+  }, [hydrated, value, colorModeTheme]);
+}
@@ -1,5 +1,18 @@
+import { createElement, useEffect, useMemo, useRef, useState } from "react";
 import { GridCellKind } from "@glideapps/glide-data-grid";
 
+// Formatters of the custom column types, by column type.
+const cellFormatters = {};
+
+// Delay in ms after which a page still not received is requested again.
+const PAGE_REQUEST_TIMEOUT = 10000;
+
+// Background of the cells whose edited value was rejected.
+const INVALID_CELL_COLOR = "rgba(229, 72, 77, 0.15)";
+
+// Background of the header rows of the groups.
+const GROUP_ROW_COLOR = "rgba(0, 0, 0, 0.04)";
+
 export function getDEColumn(columns, col) {
   let c = columns[col];
   c.pos = col;
@@ -18,8 +31,140 @@ export function locateCell(row, column) {
   }
 }
 
+// Format a date with a pattern of YYYY, YY, MM, M, DD, D, HH, H, mm, ss and SSS tokens.
+export function formatDate(value, format) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) {
+    return String(value);
+  }
+  if (!format) {
+    return date.toLocaleString();
+  }
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const tokens = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3),
+  };
+  return format.replace(/YYYY|YY|SSS|MM|M|DD|D|HH|H|mm|ss/g, (t) => tokens[t]);
+}
+
+function drawCellText(ctx, theme, rect, text) {
+  ctx.fillStyle = theme.textDark;
+  ctx.textBaseline = "middle";
+  ctx.fillText(
+    text,
+    rect.x + theme.cellHorizontalPadding,
+    rect.y + rect.height / 2
+  );
+}
+
+// Cell with a value picked among the `allowedValues`.
+const dropdownCellRenderer = {
+  kind: GridCellKind.Custom,
+  isMatch: (cell) => cell.data.kind === "dropdown-cell",
+  draw: (args, cell) => {
+    const { ctx, theme, rect } = args;
+    ctx.save();
+    drawCellText(ctx, theme, rect, cell.data.value ?? "");
+    ctx.restore();
+    return true;
+  },
+  provideEditor: () => ({
+    disablePadding: true,
+    editor: ({ value: cell, onFinishedEditing }) =>
+      createElement(
+        "select",
+        {
+          autoFocus: true,
+          value: cell.data.value ?? "",
+          style: { width: "100%", height: "100%" },
+          onChange: (e) =>
+            onFinishedEditing({
+              ...cell,
+              copyData: e.target.value,
+              data: { ...cell.data, value: e.target.value },
+            }),
+        },
+        cell.data.allowedValues.map((option) =>
+          createElement("option", { key: option, value: option }, option)
+        )
+      ),
+  }),
+  onPaste: (value, data) =>
+    data.allowedValues.includes(value) ? { ...data, value } : undefined,
+};
+
+// Cell drawing a bar filled up to `value` out of `max`.
+const progressCellRenderer = {
+  kind: GridCellKind.Custom,
+  isMatch: (cell) => cell.data.kind === "progress-cell",
+  draw: (args, cell) => {
+    const { ctx, theme, rect } = args;
+    const { value, max } = cell.data;
+    const ratio = Math.min(Math.max(value / max, 0), 1);
+    const padding = theme.cellHorizontalPadding;
+    const width = rect.width - 2 * padding;
+    const height = 6;
+    const y = rect.y + (rect.height - height) / 2;
+    ctx.save();
+    ctx.fillStyle = theme.bgBubble;
+    ctx.fillRect(rect.x + padding, y, width, height);
+    ctx.fillStyle = theme.accentColor;
+    ctx.fillRect(rect.x + padding, y, width * ratio, height);
+    ctx.restore();
+    return true;
+  },
+};
+
+// Renderers of the custom cells, passed to the DataEditor.
+export const customRenderers = [dropdownCellRenderer, progressCellRenderer];
+
+/**
+ * Register how to display the cells of a column type.
+ *
+ * @param type The column type, as set in the `type` of the columns.
+ * @param format Function returning the grid cell for a value and its column.
+ * @param renderer The renderer of the custom cells returned by format, if any.
+ */
+export function registerCellRenderer(type, format, renderer) {
+  cellFormatters[type] = format;
+  if (renderer) {
+    customRenderers.push(renderer);
+  }
+}
+
 export function formatCell(value, column) {
   const editable = column.editable ?? true;
+  if (column.type in cellFormatters) {
+    return cellFormatters[column.type](value, column);
+  }
+  if (value === null || value === undefined) {
+    // Nullable values, except booleans which display as an empty checkbox.
+    if (column.type === "bool") {
+      return {
+        kind: GridCellKind.Boolean,
+        data: null,
+        allowOverlay: false,
+        readonly: !editable,
+      };
+    }
+    return {
+      kind: GridCellKind.Text,
+      data: "",
+      displayData: "",
+      readonly: !editable,
+      allowOverlay: editable,
+    };
+  }
   switch (column.type) {
     case "int":
     case "float":
@@ -31,7 +176,15 @@ export function formatCell(value, column) {
         allowOverlay: editable,
       };
     case "datetime":
-    // value = moment format?
+    case "date":
+    case "time":
+      return {
+        kind: GridCellKind.Text,
+        data: value,
+        displayData: formatDate(value, column.format),
+        readonly: !editable,
+        allowOverlay: editable,
+      };
     case "str":
       return {
         kind: GridCellKind.Text,
@@ -44,8 +197,58 @@ export function formatCell(value, column) {
       return {
         kind: GridCellKind.Boolean,
         data: value,
+        allowOverlay: false,
         readonly: !editable,
       };
+    case "uri":
+      return {
+        kind: GridCellKind.Uri,
+        data: value,
+        readonly: !editable,
+        allowOverlay: true,
+      };
+    case "image":
+      return {
+        kind: GridCellKind.Image,
+        data: Array.isArray(value) ? value : [value],
+        readonly: !editable,
+        allowOverlay: true,
+      };
+    case "markdown":
+      return {
+        kind: GridCellKind.Markdown,
+        data: value,
+        readonly: !editable,
+        allowOverlay: true,
+      };
+    case "bubble":
+    case "tags":
+      return {
+        kind: GridCellKind.Bubble,
+        data: Array.isArray(value) ? value.map(String) : [String(value)],
+        allowOverlay: true,
+      };
+    case "dropdown":
+    case "choice":
+      return {
+        kind: GridCellKind.Custom,
+        data: {
+          kind: "dropdown-cell",
+          value,
+          allowedValues: column.options ?? [],
+        },
+        copyData: String(value),
+        readonly: !editable,
+        allowOverlay: editable,
+      };
+    case "progress":
+      return {
+        kind: GridCellKind.Custom,
+        data: { kind: "progress-cell", value, max: column.max ?? 100 },
+        copyData: String(value),
+        readonly: true,
+        allowOverlay: false,
+      };
     default:
       console.log(
         "Warning: column.type is undefined for column.title=" + column.title
@@ -53,11 +256,611 @@ export function formatCell(value, column) {
       return {
         kind: GridCellKind.Text,
         data: value,
-        displayData: column.type,
+        displayData: String(value),
+        readonly: !editable,
+        allowOverlay: editable,
       };
   }
 }
 
+/**
+ * Coerce an edited cell to the type of its column and check the validation
+ * rules of the column.
+ *
+ * The rules are set in the `validate` of the column: `required`, `min` and
+ * `max` for numbers, `max_length` and `pattern` for strings, and `options`
+ * for the allowed values (the options of dropdown columns by default).
+ *
+ * @param cell The edited grid cell.
+ * @param column The column of the cell.
+ * @returns {object} The typed `value`, and the `error` message if invalid (null otherwise).
+ */
+export function coerceCell(cell, column) {
+  let value = cell.data;
+  if (cell.kind === GridCellKind.Custom) {
+    value = cell.data.value;
+  }
+  const rules = column.validate ?? {};
+  const invalid = (error) => ({ value, error });
+  if (value === null || value === undefined || value === "") {
+    return rules.required
+      ? invalid("A value is required")
+      : { value: null, error: null };
+  }
+  switch (column.type) {
+    case "int":
+    case "float":
+      value = typeof value === "number" ? value : Number(String(value).trim());
+      if (Number.isNaN(value)) {
+        return invalid("Not a number");
+      }
+      if (column.type === "int" && !Number.isInteger(value)) {
+        return invalid("Not an integer");
+      }
+      if (rules.min !== undefined && value < rules.min) {
+        return invalid(`Must be at least ${rules.min}`);
+      }
+      if (rules.max !== undefined && value > rules.max) {
+        return invalid(`Must be at most ${rules.max}`);
+      }
+      break;
+    case "bool":
+      if (typeof value !== "boolean") {
+        const text = String(value).trim().toLowerCase();
+        if (!["true", "false", "1", "0", "yes", "no"].includes(text)) {
+          return invalid("Not a boolean");
+        }
+        value = ["true", "1", "yes"].includes(text);
+      }
+      break;
+    case "datetime":
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date)) {
+        return invalid("Not a date");
+      }
+      // Dates without a time are parsed as UTC, so they are kept as typed.
+      if (column.type === "date" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        break;
+      }
+      value =
+        column.type === "date"
+          ? formatDate(date, "YYYY-MM-DD")
+          : date.toISOString();
+      break;
+    }
+    default:
+      if (typeof value === "string") {
+        if (rules.max_length !== undefined && value.length > rules.max_length) {
+          return invalid(`Must be at most ${rules.max_length} characters`);
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+          return invalid(`Must match ${rules.pattern}`);
+        }
+      }
+  }
+  const options = rules.options ?? column.options;
+  if (options && !options.includes(value)) {
+    return invalid(`Must be one of ${options.join(", ")}`);
+  }
+  return { value, error: null };
+}
+
+/**
+ * Create the cell editor of a data editor, which coerces and validates the
+ * edits, pastes and fills before sending them to the backend, and keeps their
+ * history to undo them.
+ *
+ * @returns The cell editor, whose `columns`, `getCellContent`, `sendEdit`,
+ *   `getRowIndex`, `handlers` and `refresh` are set by useCellEditor.
+ */
+export function createCellEditor() {
+  // Error messages of the cells whose edited value was rejected, by "col,row".
+  const invalid = new Map();
+  // Batches of edits to undo and redo, most recent last.
+  const undo_stack = [];
+  const redo_stack = [];
+
+  const editor = {
+    validateCell(cell, newValue, prevValue) {
+      const valid =
+        coerceCell(newValue, getDEColumn(editor.columns, cell[0])).error ===
+        null;
+      if (!valid || !editor.handlers.validateCell) {
+        return valid;
+      }
+      return editor.handlers.validateCell(cell, newValue, prevValue);
+    },
+    onCellEdited(location, newValue) {
+      editor.onCellsEdited([{ location, value: newValue }]);
+    },
+    onCellsEdited(items) {
+      const batch = [];
+      for (const { location, value: cell } of items) {
+        const column = getDEColumn(editor.columns, location[0]);
+        const { value, error } = coerceCell(cell, column);
+        if (error !== null) {
+          invalid.set(location.join(), error);
+          continue;
+        }
+        invalid.delete(location.join());
+        // Edits are sent and kept at the index of the row in the data, which
+        // differs from the displayed row once sorted, filtered or grouped.
+        const row = editor.getRowIndex(location[1]);
+        if (row === null) {
+          continue;
+        }
+        const previous = coerceCell(editor.getCellContent(location), column);
+        const edit = { location: [location[0], row], cell, value };
+        batch.push({ ...edit, previous: previous.value });
+        editor.sendEdit(edit.location, { ...cell, data: value });
+      }
+      if (batch.length > 0) {
+        undo_stack.push(batch);
+        redo_stack.length = 0;
+      }
+      editor.refresh();
+      editor.handlers.onCellsEdited?.(items);
+      // The edits are handled, so the grid does not call onCellEdited for each cell.
+      return true;
+    },
+    replay(from, to, key) {
+      const batch = from.pop();
+      if (batch === undefined) {
+        return;
+      }
+      for (const edit of batch) {
+        editor.sendEdit(edit.location, { ...edit.cell, data: edit[key] });
+      }
+      to.push(batch);
+      editor.refresh();
+    },
+    undo() {
+      editor.replay(undo_stack, redo_stack, "previous");
+    },
+    redo() {
+      editor.replay(redo_stack, undo_stack, "value");
+    },
+    onKeyDown(event) {
+      const key = event.key.toLowerCase();
+      if ((event.ctrlKey || event.metaKey) && (key === "z" || key === "y")) {
+        event.preventDefault?.();
+        if (key === "y" || event.shiftKey) {
+          editor.redo();
+        } else {
+          editor.undo();
+        }
+      }
+      editor.handlers.onKeyDown?.(event);
+    },
+    decorate(location, cell) {
+      if (!invalid.has(location.join())) {
+        return cell;
+      }
+      return { ...cell, themeOverride: { bgCell: INVALID_CELL_COLOR } };
+    },
+  };
+  return editor;
+}
+
+/**
+ * React hook keeping the cell editor of a data editor.
+ *
+ * @param columns The columns of the data editor.
+ * @param getCellContent Function returning the grid cell at a location.
+ * @param sendEdit Function sending an edited cell to the backend, with its
+ *   location and the cell holding the typed value in its `data`.
+ * @param getRowIndex Function returning the index in the data of a displayed
+ *   row, or null if it is not a row of the data.
+ * @param handlers The `validateCell`, `onCellsEdited` and `onKeyDown`
+ *   callbacks of the app, called after the ones of the cell editor. An edit
+ *   is only valid if both validateCell callbacks accept it.
+ * @returns The cell editor, see createCellEditor.
+ */
+export function useCellEditor(
+  columns,
+  getCellContent,
+  sendEdit,
+  getRowIndex = (row) => row,
+  handlers = {}
+) {
+  const editor = useRef(null);
+  if (editor.current === null) {
+    editor.current = createCellEditor();
+  }
+  // Render again to update the styling of the invalid cells.
+  const [, setEdits] = useState(0);
+  Object.assign(editor.current, {
+    columns,
+    getCellContent,
+    sendEdit,
+    getRowIndex,
+    handlers,
+    refresh: () => setEdits((edits) => edits + 1),
+  });
+  return editor.current;
+}
+
+const isEmptyCell = (value) =>
+  value === null || value === undefined || value === "";
+
+/**
+ * Compare two non empty values of a column, according to its type.
+ *
+ * @param a The first value.
+ * @param b The second value.
+ * @param column The column of the values.
+ * @returns {number} A negative number if a comes first, positive if b does, 0 if equal.
+ */
+export function compareCells(a, b, column) {
+  switch (column.type) {
+    case "int":
+    case "float":
+    case "progress":
+      return Number(a) - Number(b);
+    case "datetime":
+    case "date":
+      return new Date(a) - new Date(b);
+    case "bool":
+      return a - b;
+    default:
+      return String(a).localeCompare(String(b), undefined, { numeric: true });
+  }
+}
+
+/**
+ * Check a value against the filter of its column.
+ *
+ * A list keeps the listed values. An object keeps the numbers from `min` to
+ * `max`, the dates from `from` to `to`, or the strings matching `pattern`.
+ * Otherwise numbers and booleans must be equal, dates must start with the
+ * filter (like "2024-01") and strings must contain it, ignoring case.
+ *
+ * @param value The value of the cell.
+ * @param filter The filter of the column.
+ * @param column The column of the cell.
+ * @returns True if the row of the value is kept.
+ */
+export function matchesFilter(value, filter, column) {
+  if (isEmptyCell(filter)) {
+    return true;
+  }
+  if (Array.isArray(filter)) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.some((v) => filter.includes(v));
+  }
+  if (isEmptyCell(value)) {
+    return false;
+  }
+  const isRange = typeof filter === "object";
+  switch (column.type) {
+    case "int":
+    case "float":
+    case "progress":
+      return isRange
+        ? (filter.min ?? -Infinity) <= value &&
+            value <= (filter.max ?? Infinity)
+        : value === Number(filter);
+    case "datetime":
+    case "date": {
+      if (!isRange) {
+        return String(value).startsWith(String(filter));
+      }
+      const date = new Date(value);
+      return (
+        (filter.from === undefined || date >= new Date(filter.from)) &&
+        (filter.to === undefined || date <= new Date(filter.to))
+      );
+    }
+    case "bool":
+      return Boolean(value) === Boolean(filter);
+    default:
+      return isRange
+        ? new RegExp(filter.pattern, "i").test(String(value))
+        : String(value).toLowerCase().includes(String(filter).toLowerCase());
+  }
+}
+
+/**
+ * Toggle the sort of a column: ascending, then descending, then unsorted.
+ *
+ * @param sort The sort keys, as {col, direction} in order of precedence.
+ * @param col The index of the column.
+ * @param multi Whether to keep the sort of the other columns.
+ * @returns The new sort keys.
+ */
+export function toggleSort(sort, col, multi) {
+  const current = sort.find((key) => key.col === col);
+  const next =
+    current === undefined
+      ? { col, direction: "asc" }
+      : current.direction === "asc"
+      ? { col, direction: "desc" }
+      : null;
+  if (!multi) {
+    return next === null ? [] : [next];
+  }
+  if (current === undefined) {
+    return [...sort, next];
+  }
+  return sort.flatMap((key) =>
+    key.col !== col ? [key] : next === null ? [] : [next]
+  );
+}
+
+/**
+ * Compute the displayed rows of a data editor, filtered, sorted and grouped
+ * on the client.
+ *
+ * @param data The rows of the data editor.
+ * @param columns The columns of the data editor.
+ * @param sort The sort keys, see toggleSort.
+ * @param filters The filters by column id, see matchesFilter.
+ * @param groupBy The id of the column grouping the rows, if any.
+ * @param collapsed The keys of the collapsed groups.
+ * @returns The displayed rows, as {index} for the rows of the data and
+ *   {group, count, collapsed} for the header rows of the groups.
+ */
+export function createDataView(
+  data,
+  columns,
+  sort,
+  filters,
+  groupBy,
+  collapsed
+) {
+  const cellAt = (index, col) =>
+    locateCell(getDERow(data, index), getDEColumn(columns, col));
+
+  const filtered = columns
+    .map((column, col) => [col, filters?.[column.id]])
+    .filter(([, filter]) => !isEmptyCell(filter));
+  const indices = [...data.keys()].filter((index) =>
+    filtered.every(([col, filter]) =>
+      matchesFilter(cellAt(index, col), filter, columns[col])
+    )
+  );
+
+  // The sort is stable, so the rows equal on all keys keep their order.
+  indices.sort((a, b) => {
+    for (const { col, direction } of sort) {
+      const [x, y] = [cellAt(a, col), cellAt(b, col)];
+      // Empty cells always come last.
+      const result =
+        isEmptyCell(x) || isEmptyCell(y)
+          ? isEmptyCell(x) - isEmptyCell(y)
+          : compareCells(x, y, columns[col]) * (direction === "desc" ? -1 : 1);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  });
+
+  const groupCol = columns.findIndex((column) => column.id === groupBy);
+  if (groupCol < 0) {
+    return indices.map((index) => ({ index }));
+  }
+  // The groups are in the order of their first row.
+  const groups = new Map();
+  for (const index of indices) {
+    const key = String(cellAt(index, groupCol) ?? "");
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(index);
+  }
+  const entries = [];
+  for (const [group, rows] of groups) {
+    entries.push({
+      group,
+      count: rows.length,
+      collapsed: collapsed.has(group),
+    });
+    if (!collapsed.has(group)) {
+      entries.push(...rows.map((index) => ({ index })));
+    }
+  }
+  return entries;
+}
+
+/**
+ * React hook keeping the client-side view of a data editor: the sort by the
+ * column headers (shift+click to sort by several columns), the filters and
+ * the collapsible groups of rows.
+ *
+ * @param data The rows of the data editor.
+ * @param columns The columns of the data editor.
+ * @param sortable Whether clicking a column header sorts the rows.
+ * @param filters The filters by column id, see matchesFilter.
+ * @param groupBy The id of the column grouping the rows, if any.
+ * @param onCellClicked Function called with the location of a clicked cell,
+ *   at the index of its row in the data.
+ * @param onHeaderClicked Function called with the index of a clicked header.
+ * @returns The view, with the `rows` count, the displayed `entries` (see
+ *   createDataView), the `columns` showing the sort, getRowIndex mapping a
+ *   displayed row to its index in the data, and the click callbacks of the grid.
+ */
+export function useDataView(
+  data,
+  columns,
+  sortable,
+  filters,
+  groupBy,
+  onCellClicked,
+  onHeaderClicked
+) {
+  const [sort, setSort] = useState([]);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const entries = useMemo(
+    () =>
+      createDataView(
+        data,
+        columns,
+        sortable ? sort : [],
+        filters,
+        groupBy,
+        collapsed
+      ),
+    [data, columns, sortable, sort, filters, groupBy, collapsed]
+  );
+
+  const viewColumns = useMemo(() => {
+    if (!sortable) {
+      return columns;
+    }
+    return columns.map((column, col) => {
+      const position = sort.findIndex((key) => key.col === col);
+      if (position < 0) {
+        return column;
+      }
+      const arrow = sort[position].direction === "asc" ? "▲" : "▼";
+      const rank = sort.length > 1 ? position + 1 : "";
+      return { ...column, title: `${column.title} ${arrow}${rank}` };
+    });
+  }, [columns, sortable, sort]);
+
+  return {
+    rows: entries.length,
+    entries,
+    columns: viewColumns,
+    getRowIndex: (row) => entries[row]?.index ?? null,
+    onHeaderClicked: (col, event) => {
+      if (sortable) {
+        setSort((sort) => toggleSort(sort, col, event?.shiftKey ?? false));
+      }
+      onHeaderClicked(col);
+    },
+    onCellClicked: ([col, row]) => {
+      const entry = entries[row];
+      if (entry?.group === undefined) {
+        onCellClicked([col, entry?.index ?? row]);
+        return;
+      }
+      setCollapsed((collapsed) => {
+        const next = new Set(collapsed);
+        if (!next.delete(entry.group)) {
+          next.add(entry.group);
+        }
+        return next;
+      });
+    },
+  };
+}
+
+/**
+ * Create a windowed data source, holding the rows of the pages received from
+ * the backend.
+ *
+ * Missing pages are requested when their rows are drawn, and the least
+ * recently drawn pages are evicted beyond `maxPages`, so only the pages around
+ * the visible region are kept.
+ *
+ * @param pageSize The number of rows of each page.
+ * @param maxPages The maximum number of pages kept.
+ * @param fetchRows Function requesting the rows from start to end (excluded).
+ * @returns The data source.
+ */
+export function createPagedDataSource(pageSize, maxPages, fetchRows) {
+  // Rows of the received pages by page index, least recently drawn first.
+  const pages = new Map();
+  // Request times of the pages not received yet, by page index.
+  const requested = new Map();
+
+  const source = {
+    fetchRows,
+    getRow(row) {
+      const index = Math.floor(row / pageSize);
+      const page = pages.get(index);
+      if (page === undefined) {
+        source.requestPage(index);
+        return undefined;
+      }
+      // Keep the pages in the order they were last drawn.
+      pages.delete(index);
+      pages.set(index, page);
+      return getDERow(page, row - index * pageSize);
+    },
+    requestPage(index) {
+      if (Date.now() - (requested.get(index) ?? 0) < PAGE_REQUEST_TIMEOUT) {
+        return;
+      }
+      // Keep the pages in the order they were requested.
+      requested.delete(index);
+      requested.set(index, Date.now());
+      source.fetchRows(index * pageSize, (index + 1) * pageSize);
+    },
+    addRows(start, rows) {
+      const received = new Set();
+      for (let offset = 0; offset < rows.length; offset += pageSize) {
+        const index = Math.floor((start + offset) / pageSize);
+        pages.delete(index);
+        pages.set(index, rows.slice(offset, offset + pageSize));
+        received.add(index);
+      }
+      // The backend answers the requests in order, but `page` only holds its
+      // last answer, so the pages requested before the received ones were
+      // superseded: forget them to request them again when drawn.
+      let superseded = [];
+      for (const index of requested.keys()) {
+        if (received.has(index)) {
+          superseded.forEach((other) => requested.delete(other));
+          superseded = [];
+          requested.delete(index);
+        } else {
+          superseded.push(index);
+        }
+      }
+      while (pages.size > maxPages) {
+        pages.delete(pages.keys().next().value);
+      }
+    },
+    clear() {
+      pages.clear();
+      requested.clear();
+    },
+  };
+  return source;
+}
+
+/**
+ * React hook keeping a windowed data source for a data editor.
+ *
+ * @param pageSize The number of rows of each page.
+ * @param maxPages The maximum number of pages kept.
+ * @param page The last rows sent by the backend, as {start, rows}.
+ * @param fetchRows Function requesting the rows from start to end (excluded).
+ * @returns The data source, see createPagedDataSource.
+ */
+export function usePagedDataSource(pageSize, maxPages, page, fetchRows) {
+  const source = useRef(null);
+  if (source.current === null) {
+    source.current = createPagedDataSource(pageSize, maxPages, fetchRows);
+  }
+  source.current.fetchRows = fetchRows;
+  // Render again to draw the received rows.
+  const [, setReceived] = useState(0);
+  useEffect(() => {
+    if (page?.rows) {
+      source.current.addRows(page.start ?? 0, page.rows);
+      setReceived((received) => received + 1);
+    }
+  }, [page]);
+  return source.current;
+}
+
+export function formatPagedDataEditorCells(col, row, columns, source) {
+  if (col < columns.length) {
+    const rowData = source.getRow(row);
+    if (rowData !== undefined) {
+      const column = getDEColumn(columns, col);
+      return formatCell(locateCell(rowData, column), column);
+    }
+  }
+  return { kind: GridCellKind.Loading };
+}
+
 export function formatDataEditorCells(col, row, columns, data) {
   if (row < data.length && col < columns.length) {
     const column = getDEColumn(columns, col);
@@ -67,3 +870,28 @@ export function formatDataEditorCells(col, row, columns, data) {
   }
   return { kind: GridCellKind.Loading };
 }
+
+export function formatViewDataEditorCells(col, row, columns, data, view) {
+  const entry = view.entries[row];
+  if (entry === undefined || col >= columns.length) {
+    return { kind: GridCellKind.Loading };
+  }
+  if (entry.group !== undefined) {
+    // The header of the group is shown in the first column.
+    const label =
+      col === 0
+        ? `${entry.collapsed ? "▸" : "▾"} ${entry.group || "(empty)"} (${
+            entry.count
+          })`
+        : "";
+    return {
+      kind: GridCellKind.Text,
+      data: label,
+      displayData: label,
+      allowOverlay: false,
+      readonly: true,
+      themeOverride: { bgCell: GROUP_ROW_COLOR },
+    };
+  }
+  return formatDataEditorCells(col, entry.index, columns, data);
+}
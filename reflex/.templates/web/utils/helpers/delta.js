@@ -0,0 +1,113 @@
+// Application of the state deltas sent by the backend, shared by the state
+// and the inspector.
+
+// Key of the patch operations in a substate delta.
+export const PATCH_KEY = "$patch";
+
+/**
+ * Get the keys of a JSON Pointer path, like "/rows/3/name".
+ * @param path The JSON Pointer path.
+ * @returns The array of keys.
+ */
+export const parsePatchPath = (path) => {
+  if (path === "") {
+    return [];
+  }
+  return path
+    .slice(1)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+/**
+ * Update the value at a nested path, copying only the objects along the path.
+ * @param target The object or array to update.
+ * @param keys The keys of the path to the value.
+ * @param update The function computing the new value from the old one.
+ * @returns The updated copy of the target.
+ */
+const updateIn = (target, keys, update) => {
+  if (keys.length === 0) {
+    return update(target);
+  }
+  const [key, ...rest] = keys;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  copy[key] = updateIn(target[key], rest, update);
+  return copy;
+};
+
+/**
+ * Apply a single patch operation to a substate.
+ *
+ * Supported operations, with a JSON Pointer `path`:
+ *   - {op: "add", path, value}: insert into an array ("-" appends) or set an object key.
+ *   - {op: "replace", path, value}: set the value at the path.
+ *   - {op: "remove", path}: remove an array item or an object key.
+ *   - {op: "splice", path, start, delete_count, items}: splice the array at the path.
+ *   - {op: "append", path, items}: append items to the array at the path.
+ *   - {op: "increment", path, value}: add value to the number at the path.
+ *
+ * @param state The substate to patch.
+ * @param patch The patch operation.
+ * @returns The patched substate.
+ */
+export const applyPatch = (state, patch) => {
+  const keys = parsePatchPath(patch.path);
+  if (patch.op === "splice") {
+    return updateIn(state, keys, (array) => {
+      const copy = [...array];
+      copy.splice(patch.start, patch.delete_count ?? 0, ...(patch.items ?? []));
+      return copy;
+    });
+  }
+  if (patch.op === "append") {
+    return updateIn(state, keys, (array) => [...array, ...patch.items]);
+  }
+  if (patch.op === "increment") {
+    return updateIn(state, keys, (number) => number + patch.value);
+  }
+  if (!["add", "replace", "remove"].includes(patch.op)) {
+    throw new Error(`Unknown patch operation: ${patch.op}`);
+  }
+  const key = keys.pop();
+  return updateIn(state, keys, (parent) => {
+    if (Array.isArray(parent)) {
+      const copy = [...parent];
+      const index = key === "-" ? copy.length : Number(key);
+      if (patch.op === "add") {
+        copy.splice(index, 0, patch.value);
+      } else if (patch.op === "replace") {
+        copy[index] = patch.value;
+      } else {
+        copy.splice(index, 1);
+      }
+      return copy;
+    }
+    const copy = { ...parent };
+    if (patch.op === "remove") {
+      delete copy[key];
+    } else {
+      copy[key] = patch.value;
+    }
+    return copy;
+  });
+};
+
+/**
+ * Apply a delta to the state.
+ *
+ * The delta maps var names to their full new values. It may also hold a list
+ * of patch operations under PATCH_KEY, applied after the full values, to
+ * update large collections incrementally (see applyPatch). The backend sends
+ * the items appended to large lists as "append" operations.
+ *
+ * @param state The state to apply the delta to.
+ * @param delta The delta to apply.
+ */
+export const applyDelta = (state, delta) => {
+  if (!(PATCH_KEY in delta)) {
+    return { ...state, ...delta };
+  }
+  const { [PATCH_KEY]: patches, ...values } = delta;
+  return patches.reduce(applyPatch, { ...state, ...values });
+};
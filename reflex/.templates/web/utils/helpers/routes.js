@@ -0,0 +1,139 @@
+// The kinds of route segments, in the order they take precedence.
+const STATIC_SEGMENT = 0;
+const DYNAMIC_SEGMENT = 1;
+const CATCHALL_SEGMENT = 2;
+const OPTIONAL_CATCHALL_SEGMENT = 3;
+
+/**
+ * Parse a segment of a route.
+ * @param segment The segment, like "posts", "[id]", "[...slug]" or "[[...slug]]".
+ * @returns The kind of the segment and its param name or static value.
+ */
+const parseSegment = (segment) => {
+  let match = segment.match(/^\[\[\.\.\.(.+)\]\]$/);
+  if (match) {
+    return { kind: OPTIONAL_CATCHALL_SEGMENT, name: match[1] };
+  }
+  match = segment.match(/^\[\.\.\.(.+)\]$/);
+  if (match) {
+    return { kind: CATCHALL_SEGMENT, name: match[1] };
+  }
+  match = segment.match(/^\[(.+)\]$/);
+  if (match) {
+    return { kind: DYNAMIC_SEGMENT, name: match[1] };
+  }
+  return { kind: STATIC_SEGMENT, value: segment };
+};
+
+/**
+ * Split a route or path into its segments.
+ * @param path The route or path.
+ * @returns The non empty segments.
+ */
+const splitPath = (path) => path.split("/").filter((part) => part !== "");
+
+/**
+ * Compare routes by precedence, like the router of NextJS: static segments
+ * first, then dynamic segments, then catch-all segments, so a route takes
+ * precedence over an optional catch-all route extending it.
+ * @param a A route.
+ * @param b Another route.
+ * @returns A negative number if a takes precedence over b.
+ */
+export const compareRoutes = (a, b) => {
+  const segments_a = splitPath(a).map(parseSegment);
+  const segments_b = splitPath(b).map(parseSegment);
+  for (let i = 0; i < Math.min(segments_a.length, segments_b.length); i++) {
+    if (segments_a[i].kind !== segments_b[i].kind) {
+      return segments_a[i].kind - segments_b[i].kind;
+    }
+  }
+  return segments_a.length - segments_b.length;
+};
+
+/**
+ * Match a path against a route.
+ * @param route The route, like "/posts/[id]" or "/docs/[[...slug]]".
+ * @param path The path, without the base path, query and hash.
+ * @returns The params of the route parsed from the path, or null if the path does not match.
+ */
+export const matchRoute = (route, path) => {
+  const segments = splitPath(route).map(parseSegment);
+  const parts = splitPath(path).map((part) => {
+    try {
+      return decodeURIComponent(part);
+    } catch (e) {
+      return part;
+    }
+  });
+  const params = {};
+  for (const [i, segment] of segments.entries()) {
+    if (segment.kind === STATIC_SEGMENT) {
+      if (parts[i] !== segment.value) {
+        return null;
+      }
+    } else if (segment.kind === DYNAMIC_SEGMENT) {
+      if (parts[i] === undefined) {
+        return null;
+      }
+      params[segment.name] = parts[i];
+    } else {
+      // Catch-all segments are always the last one of a route.
+      const rest = parts.slice(i);
+      if (rest.length > 0) {
+        params[segment.name] = rest;
+      } else if (segment.kind === CATCHALL_SEGMENT) {
+        return null;
+      }
+      return params;
+    }
+  }
+  return parts.length === segments.length ? params : null;
+};
+
+/**
+ * Find the route matching a path.
+ * @param routes The routes.
+ * @param path The path, without the base path, query and hash.
+ * @returns The matching route taking precedence and its params, or null if none matches.
+ */
+export const findRoute = (routes, path) => {
+  for (const route of [...routes].sort(compareRoutes)) {
+    const params = matchRoute(route, path);
+    if (params !== null) {
+      return { route, params };
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the path of a url, without the base path, query and hash.
+ * @param url The url.
+ * @param basePath The base path of the app.
+ * @returns The path.
+ */
+export const getRoutePath = (url, basePath = "") => {
+  let path = url.split(/[?#]/)[0];
+  if (basePath && path.startsWith(basePath)) {
+    path = path.slice(basePath.length);
+  }
+  return path || "/";
+};
+
+/**
+ * Parse a query string like the router of NextJS, repeated keys giving arrays.
+ * @param search The query string, with or without the leading "?".
+ * @returns The query.
+ */
+export const parseQuery = (search) => {
+  const query = {};
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (query[key] === undefined) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  }
+  return query;
+};
@@ -0,0 +1,337 @@
+// Event and state inspector for Reflex web apps in dev mode.
+import { useEffect, useState } from "react";
+import { applyDelta } from "/utils/helpers/delta.js";
+import { initialState, isDevMode } from "/utils/context.js";
+
+// Maximum number of entries kept in the trace.
+const MAX_TRACE_ENTRIES = 1000;
+
+// Version of the exported trace format.
+const TRACE_VERSION = 1;
+
+// Recorded entries, oldest first.
+let trace = [];
+// Current values of each substate, as dispatched to the reducers.
+let substates;
+// Events waiting for their final update, by lane name ("" for the main lane).
+const pending_events = {};
+// Callbacks notified when the trace changes.
+const listeners = new Set();
+
+/**
+ * Check whether the inspector records anything.
+ * @returns True in dev mode, in the browser.
+ */
+const isEnabled = () => isDevMode && typeof window !== "undefined";
+
+/**
+ * Get the current values of each substate.
+ * @returns The values by substate name.
+ */
+export const getSubstates = () => {
+  if (substates === undefined) {
+    substates = { ...initialState };
+  }
+  return substates;
+};
+
+/**
+ * Add an entry to the trace and notify the listeners.
+ * @param kind The kind of entry: "queued", "sent" or "update".
+ * @param data The data of the entry.
+ */
+const record = (kind, data) => {
+  // Expose the inspector to the browser console.
+  if (!window.__reflex_inspector) {
+    window.__reflex_inspector = {
+      getTrace,
+      getSubstates,
+      clearTrace,
+      exportTrace,
+      downloadTrace,
+      replayTrace,
+    };
+  }
+  trace = [...trace, { kind, time: performance.now(), ...data }].slice(
+    -MAX_TRACE_ENTRIES
+  );
+  listeners.forEach((listener) => listener(trace));
+};
+
+/**
+ * Record events added to the event queue.
+ * @param events The queued events.
+ */
+export const recordQueued = (events) => {
+  if (!isEnabled()) {
+    return;
+  }
+  events.forEach((event) =>
+    record("queued", {
+      name: event.name,
+      client_id: event.client_id,
+      payload: event.payload,
+    })
+  );
+};
+
+/**
+ * Record an event sent to the backend.
+ * @param event The event, as sent.
+ */
+export const recordSent = (event) => {
+  if (!isEnabled()) {
+    return;
+  }
+  pending_events[event.lane ?? ""] = {
+    name: event.name,
+    sent_at: performance.now(),
+  };
+  record("sent", {
+    name: event.name,
+    client_id: event.client_id,
+    lane: event.lane,
+    payload: event,
+  });
+};
+
+/**
+ * Record an update received from the backend and apply its delta to the
+ * inspected substates.
+ * @param update The decoded update.
+ */
+export const recordUpdate = (update) => {
+  if (!isEnabled()) {
+    return;
+  }
+  const current = getSubstates();
+  for (const substate in update.delta) {
+    current[substate] = applyDelta(
+      current[substate] ?? {},
+      update.delta[substate]
+    );
+  }
+  const pending = pending_events[update.lane ?? ""];
+  if (update.final) {
+    delete pending_events[update.lane ?? ""];
+  }
+  record("update", {
+    name: pending?.name,
+    lane: update.lane,
+    delta: update.delta,
+    events: update.events,
+    final: update.final,
+    elapsed: pending ? performance.now() - pending.sent_at : null,
+  });
+};
+
+/**
+ * Forget the recorded entries.
+ */
+export const clearTrace = () => {
+  trace = [];
+  listeners.forEach((listener) => listener(trace));
+};
+
+/**
+ * Leave the client token and the state values out of a trace entry.
+ * @param entry The trace entry.
+ * @returns The entry, with the names of the updated vars instead of the delta
+ *   and the names of the events instead of the events.
+ */
+const redactEntry = ({ payload, delta, events, ...entry }) => {
+  const redacted = { ...entry };
+  if (delta !== undefined) {
+    redacted.delta = Object.fromEntries(
+      Object.entries(delta).map(([substate, vars]) => [
+        substate,
+        Object.keys(vars),
+      ])
+    );
+  }
+  if (events !== undefined) {
+    redacted.events = events.map((event) => event.name);
+  }
+  return redacted;
+};
+
+/**
+ * Export the session trace.
+ * @param redact Whether to leave out the client token, the event payloads and
+ *   the state values, to share the trace. Only the traces exported without
+ *   redacting them can be replayed.
+ * @returns The trace as a JSON string.
+ */
+export const exportTrace = (redact = true) => {
+  if (redact) {
+    return JSON.stringify({
+      version: TRACE_VERSION,
+      redacted: true,
+      entries: trace.map(redactEntry),
+    });
+  }
+  return JSON.stringify({
+    version: TRACE_VERSION,
+    initial_state: initialState,
+    entries: trace,
+  });
+};
+
+/**
+ * Download the redacted session trace as a JSON file.
+ */
+export const downloadTrace = () => {
+  const a = document.createElement("a");
+  a.hidden = true;
+  a.href = URL.createObjectURL(
+    new Blob([exportTrace()], { type: "application/json" })
+  );
+  a.download = `reflex-trace-${Date.now()}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  a.remove();
+};
+
+/**
+ * Replay the updates of an exported trace against the reducers.
+ *
+ * @param exported The trace, as returned by exportTrace(false).
+ * @param dispatch The substate dispatchers to also replay the deltas to the
+ *   live app, if any.
+ *
+ * @returns The values of each substate at the end of the trace.
+ */
+export const replayTrace = (exported, dispatch = null) => {
+  const { version, redacted, initial_state, entries } =
+    typeof exported === "string" ? JSON.parse(exported) : exported;
+  if (version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version: ${version}`);
+  }
+  if (redacted) {
+    throw new Error("Redacted traces cannot be replayed, see exportTrace");
+  }
+  const replayed = { ...initial_state };
+  entries
+    .filter((entry) => entry.kind === "update")
+    .forEach((entry) => {
+      for (const substate in entry.delta) {
+        replayed[substate] = applyDelta(
+          replayed[substate] ?? {},
+          entry.delta[substate]
+        );
+        dispatch?.[substate]?.(entry.delta[substate]);
+      }
+    });
+  return replayed;
+};
+
+/**
+ * Subscribe to the changes of the trace.
+ * @param listener The function called with the trace on each change.
+ * @returns A function to unsubscribe.
+ */
+export const subscribeTrace = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the recorded entries.
+ * @returns The entries, oldest first.
+ */
+export const getTrace = () => trace;
+
+/**
+ * React hook to build an inspector view (only records in dev mode).
+ *
+ * @returns {object} The recorded trace `entries`, the current `substates`
+ *   values and the clearTrace, exportTrace, downloadTrace and replayTrace functions.
+ */
+export const useInspector = () => {
+  const [entries, setEntries] = useState(trace);
+  useEffect(() => {
+    setEntries(trace);
+    return subscribeTrace(setEntries);
+  }, []);
+  return {
+    entries,
+    substates: getSubstates(),
+    clearTrace,
+    exportTrace,
+    downloadTrace,
+    replayTrace,
+  };
+};
+
+/**
+ * Format a trace entry as a line of the inspector panel.
+ * @param entry The trace entry.
+ * @returns The line.
+ */
+const formatEntry = (entry) => {
+  const lane = entry.lane ? ` [${entry.lane}]` : "";
+  const elapsed =
+    entry.elapsed != null ? ` ${Math.round(entry.elapsed)}ms` : "";
+  return `${entry.kind} ${entry.name ?? ""}${lane}${elapsed}`;
+};
+
+/**
+ * Floating panel listing the recorded trace and the current substates values
+ * (only rendered in dev mode, see rx.inspector).
+ *
+ * @param maxEntries The number of latest entries listed.
+ *
+ * @returns The panel, collapsed to a button until opened.
+ */
+export const Inspector = ({ maxEntries = 50 }) => {
+  const [open, setOpen] = useState(false);
+  const { entries, substates } = useInspector();
+  if (!isDevMode) {
+    return null;
+  }
+  const style = {
+    position: "fixed",
+    bottom: "1em",
+    right: "1em",
+    zIndex: 9999,
+    fontFamily: "monospace",
+    fontSize: "12px",
+    color: "black",
+    background: "white",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+  };
+  if (!open) {
+    return (
+      <button style={style} onClick={() => setOpen(true)}>
+        Inspector ({entries.length})
+      </button>
+    );
+  }
+  return (
+    <div
+      style={{
+        ...style,
+        width: "32em",
+        maxHeight: "50vh",
+        overflow: "auto",
+        padding: "0.5em",
+      }}
+    >
+      <div>
+        <button onClick={() => setOpen(false)}>Close</button>
+        <button onClick={clearTrace}>Clear</button>
+        <button onClick={downloadTrace}>Download</button>
+      </div>
+      <ol>
+        {entries.slice(-maxEntries).map((entry, index) => (
+          <li key={index}>{formatEntry(entry)}</li>
+        ))}
+      </ol>
+      <details>
+        <summary>State</summary>
+        <pre>{JSON.stringify(substates, null, 2)}</pre>
+      </details>
+    </div>
+  );
+};
@@ -4,14 +4,37 @@ import io from "socket.io-client";
 import JSON5 from "json5";
 import env from "/env.json";
 import Cookies from "universal-cookie";
-import { useEffect, useReducer, useRef, useState } from "react";
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
 import Router, { useRouter } from "next/router";
 import {
+  StateContexts,
   initialEvents,
   initialState,
+  isCspSafe,
+  cachedRoutes,
+  errorReporting,
   onLoadInternalEvent,
+  routeGuards,
+  shareAcrossTabs,
   state_name,
-} from "utils/context.js";
+} from "/utils/context.js";
+import { recordQueued, recordSent, recordUpdate } from "/utils/inspector.js";
+import { findRoute, getRoutePath } from "/utils/helpers/routes.js";
+import {
+  PATCH_KEY,
+  applyDelta,
+  applyPatch,
+  parsePatchPath,
+} from "/utils/helpers/delta.js";
+
+export { PATCH_KEY, applyDelta, applyPatch };
 
 // Endpoint URLs.
 const EVENTURL = env.EVENT;
@@ -26,20 +49,144 @@ let token;
 // Key for the token in the session storage.
 const TOKEN_KEY = "token";
 
+// Key for the pending event queue in the session storage.
+const EVENT_QUEUE_KEY = "event_queue";
+
 // create cookie instance
 const cookies = new Cookies();
 
+// Wire encodings offered to the backend when connecting, in order of preference.
+const WIRE_ENCODINGS = ["gzip", "json5"];
+// Wire encoding picked by the backend, JSON5 text until it announces another one.
+let wire_encoding = "json5";
+
 // Dictionary holding component references.
 export const refs = {};
 
 // Flag ensures that only one event is processing on the backend concurrently.
 let event_processing = false;
+// Flags of the separate lanes, each processing one event at a time, by lane name.
+const lanes_processing = {};
+// Timers releasing a lane when its event times out, by lane name ("" for the main lane).
+const lane_timeouts = {};
+// Client ids of the timed out events, whose late updates do not release their lane.
+const timed_out_events = new Set();
 // Array holding pending events to be processed.
 const event_queue = [];
+// Events sent and waiting for their final update, by lane name ("" for the main lane).
+const in_flight_events = {};
+// Timers of the debounced or throttled events, by event names.
+const delayed_events = {};
+// Last time events were queued, by event names, used for throttling.
+const event_last_queued = {};
+
+// Client functions the backend may call by name, see registerClientFunction.
+const client_functions = {
+  scroll_into_view: (elem_id) =>
+    document.getElementById(elem_id).scrollIntoView(),
+  clear_selected_files: (id_) => refs["__clear_selected_files"](id_),
+};
 
 // Pending upload promises, by id
 const upload_controllers = {};
 
+// Number of attempts to send each chunk of a chunked upload.
+const UPLOAD_CHUNK_ATTEMPTS = 5;
+
+// Prefix of the local storage keys tracking the uploaded chunks, by upload id.
+const UPLOAD_LEDGER_KEY_PREFIX = "upload_chunks_";
+
+// Possible states of the websocket connection.
+export const ConnectionState = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  OFFLINE: "offline",
+};
+
+// Options of the websocket connection, see configureConnection.
+const connection_options = {
+  // Delay before the first reconnection attempt, doubled on each attempt (ms).
+  reconnectionDelay: 1000,
+  // Upper bound of the reconnection delay (ms).
+  reconnectionDelayMax: 5000,
+  // Random jitter applied to the reconnection delay, between 0 and 1.
+  randomizationFactor: 0.5,
+  // Number of reconnection attempts before going offline.
+  reconnectionAttempts: Infinity,
+  // Interval between heartbeat pings measuring the round-trip latency (ms).
+  heartbeatInterval: 5000,
+  // Whether the tabs of the browser share one token and one socket, overriding
+  // rx.Config.share_across_tabs, see isSharedAcrossTabs.
+  shareAcrossTabs: null,
+};
+
+// Current status of the websocket connection.
+let connection_status = {
+  state: ConnectionState.CONNECTING,
+  attempts: 0,
+  latency: null,
+  error: null,
+};
+// Callbacks notified when the connection status changes.
+const connection_listeners = new Set();
+// The socket ref of the event loop, used to reconnect manually.
+let connection_socket = null;
+// Function clearing the timer and listeners of the current socket, see connect.
+let stop_connection = null;
+
+// Name of the channel relaying events and updates between tabs sharing a socket.
+const TAB_CHANNEL_NAME = "reflex_tabs";
+// Name of the lock held by the leader tab, which owns the shared socket.
+const TAB_LEADER_LOCK = "reflex_leader_tab";
+// Id of this tab, used to route the updates when tabs share a socket.
+let tab_id = null;
+// Whether this tab owns its socket, rather than relaying to the leader tab.
+let is_leader_tab = true;
+// Channel to the other tabs, when sharing a socket.
+let tab_channel = null;
+// Tab ids of the events in flight on the shared socket, by lane ("" for the main lane).
+const lane_origins = {};
+
+// Name of the channel notifying the other tabs of changed cookies.
+const COOKIE_SYNC_CHANNEL_NAME = "reflex_cookies";
+// Last known values of the synced cookies, by cookie name.
+const synced_cookie_values = {};
+// Channel to the other tabs for the synced cookies, created on first use.
+let cookie_channel;
+
+// Name of the IndexedDB database holding the indexed_db client storage vars.
+const INDEXED_DB_NAME = "reflex";
+// Name of the object store holding the indexed_db client storage vars.
+const INDEXED_DB_STORE = "client_storage";
+// Connection to the IndexedDB database, opened on first use.
+let indexed_db;
+// Values of the indexed_db client storage vars, by key, read by loadIndexedDB.
+const indexed_db_values = {};
+// Promise resolved once the indexed_db client storage vars are read.
+let indexed_db_loaded;
+
+// Options of the client error reporting set by configureErrorReporting,
+// overriding the options of the app, see getErrorReportingOptions.
+const error_reporting_options = {};
+// Recent client errors, oldest first.
+let client_errors = [];
+// Callbacks notified when a client error is reported.
+const client_error_listeners = new Set();
+
+// Values of the substates as sent by the backend, created on first use.
+let server_state;
+// Optimistic predictions waiting for the final update of their event, oldest first.
+let predictions = [];
+// Number of recent rolled back predictions returned by useOptimisticUpdates.
+const MAX_ROLLED_BACK = 10;
+// Recent rolled back predictions, oldest first.
+let rolled_back_predictions = [];
+// Callbacks notified when a prediction is added or resolved.
+const prediction_listeners = new Set();
+// Substate dispatchers of the event loop, used to apply the predictions.
+let state_dispatch = null;
+
 /**
  * Generate a UUID (Used for session tokens).
  * Taken from: https://stackoverflow.com/questions/105034/how-do-i-create-a-guid-uuid
@@ -70,14 +217,92 @@ export const getToken = () => {
     return token;
   }
   if (typeof window !== "undefined") {
-    if (!window.sessionStorage.getItem(TOKEN_KEY)) {
-      window.sessionStorage.setItem(TOKEN_KEY, generateUUID());
+    // Tabs sharing a socket share the token too.
+    const storage = isSharedAcrossTabs()
+      ? window.localStorage
+      : window.sessionStorage;
+    if (!storage.getItem(TOKEN_KEY)) {
+      storage.setItem(TOKEN_KEY, generateUUID());
     }
-    token = window.sessionStorage.getItem(TOKEN_KEY);
+    token = storage.getItem(TOKEN_KEY);
   }
   return token;
 };
 
+/**
+ * Get the names of the events sent on every page load, which are never persisted.
+ * @returns A set of event names.
+ */
+const getInitialEventNames = () => {
+  return new Set(initialEvents().map((e) => e.name));
+};
+
+/**
+ * Save the pending events to the session storage, so they survive a page reload.
+ *
+ * The events waiting for their final update are saved first, as the backend
+ * skips them if it already processed them.
+ * Events handled via REST (uploads) and the initial events are not persisted.
+ */
+const persistEventQueue = () => {
+  if (typeof window === "undefined") {
+    return;
+  }
+  const initial_event_names = getInitialEventNames();
+  const pending = [...Object.values(in_flight_events), ...event_queue].filter(
+    (e) => !e.handler && !initial_event_names.has(e.name)
+  );
+  try {
+    if (pending.length > 0) {
+      window.sessionStorage.setItem(EVENT_QUEUE_KEY, JSON.stringify(pending));
+    } else {
+      window.sessionStorage.removeItem(EVENT_QUEUE_KEY);
+    }
+  } catch (e) {
+    console.log("Failed to persist the event queue", e);
+  }
+};
+
+/**
+ * Take the events persisted by a previous page load out of the session storage.
+ * @returns The array of persisted events, in their original order.
+ */
+export const restoreEventQueue = () => {
+  if (typeof window === "undefined") {
+    return [];
+  }
+  const persisted = window.sessionStorage.getItem(EVENT_QUEUE_KEY);
+  window.sessionStorage.removeItem(EVENT_QUEUE_KEY);
+  try {
+    return persisted ? JSON.parse(persisted) : [];
+  } catch (e) {
+    console.log("Discarding unreadable persisted events", e);
+    return [];
+  }
+};
+
+/**
+ * Forget the event sent in a lane once its final update is received or it
+ * times out.
+ * @param lane The lane name, or undefined for the main lane.
+ */
+const releaseInFlightEvent = (lane) => {
+  delete in_flight_events[lane ?? ""];
+  persistEventQueue();
+};
+
+/**
+ * Queue again the events sent on a previous connection, whose updates are lost.
+ */
+const requeueInFlightEvents = () => {
+  const events = Object.values(in_flight_events);
+  Object.keys(in_flight_events).forEach(
+    (lane) => delete in_flight_events[lane]
+  );
+  event_queue.unshift(...events);
+  predictions.forEach((p) => (p.sent = false));
+};
+
 /**
  * Get the URL for the backend server
  * @param url_str The URL string to parse.
@@ -106,102 +331,196 @@ export const getBackendURL = (url_str) => {
 };
 
 /**
- * Apply a delta to the state.
- * @param state The state to apply the delta to.
- * @param delta The delta to apply.
+ * Decode a message received from the backend.
+ *
+ * Text messages are always JSON5, binary messages use the negotiated encoding.
+ *
+ * @param message The text or binary message.
+ * @returns The decoded message.
  */
-export const applyDelta = (state, delta) => {
-  return { ...state, ...delta };
+export const decodeMessage = async (message) => {
+  if (typeof message === "string") {
+    return JSON5.parse(message);
+  }
+  const bytes =
+    message instanceof ArrayBuffer ? new Uint8Array(message) : message;
+  if (wire_encoding === "gzip") {
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("gzip"));
+    return JSON5.parse(await new Response(stream).text());
+  }
+  throw new Error(`Unexpected binary message for encoding ${wire_encoding}`);
 };
 
 /**
- * Handle frontend event or send the event to the backend via Websocket.
- * @param event The event to send.
- * @param socket The socket object to send the event on.
- *
- * @returns True if the event was sent, false if it was handled locally.
+ * Encode an event to send to the backend with the negotiated encoding.
+ * @param event The event to encode.
+ * @returns The text or binary message.
  */
-export const applyEvent = async (event, socket) => {
-  // Handle special events
-  if (event.name == "_redirect") {
-    if (event.payload.external) window.open(event.payload.path, "_blank");
-    else Router.push(event.payload.path);
-    return false;
+export const encodeEvent = async (event) => {
+  const json = JSON.stringify(event, (k, v) => (v === undefined ? null : v));
+  if (wire_encoding === "gzip") {
+    const stream = new Blob([json])
+      .stream()
+      .pipeThrough(new CompressionStream("gzip"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
   }
+  return json;
+};
 
-  if (event.name == "_console") {
-    console.log(event.payload.message);
-    return false;
-  }
+/**
+ * Register a function the backend may call by name with rx.call_function.
+ * @param name The name of the function.
+ * @param fn The function, called with the JSON arguments of the event. Its
+ *   result, or the value of the promise it returns, is sent to the callback.
+ */
+export const registerClientFunction = (name, fn) => {
+  client_functions[name] = fn;
+};
+
+// Handlers of the client-side special events, by event name, see registerSpecialEvent.
+const special_events = {
+  _redirect: (payload) => {
+    if (payload.external) window.open(payload.path, "_blank");
+    else navigate(payload.path);
+  },
 
-  if (event.name == "_remove_cookie") {
-    cookies.remove(event.payload.key, { ...event.payload.options });
+  _console: (payload) => {
+    console.log(payload.message);
+  },
+
+  _remove_cookie: (payload, socket) => {
+    cookies.remove(payload.key, { ...payload.options });
     queueEvents(initialEvents(), socket);
-    return false;
-  }
+  },
 
-  if (event.name == "_clear_local_storage") {
+  _clear_local_storage: (payload, socket) => {
     localStorage.clear();
     queueEvents(initialEvents(), socket);
-    return false;
-  }
+  },
 
-  if (event.name == "_remove_local_storage") {
-    localStorage.removeItem(event.payload.key);
+  _remove_local_storage: (payload, socket) => {
+    localStorage.removeItem(payload.key);
     queueEvents(initialEvents(), socket);
-    return false;
-  }
+  },
+
+  _cancel_upload: (payload) => {
+    upload_controllers[payload.upload_id]?.abort();
+  },
 
-  if (event.name == "_set_clipboard") {
-    const content = event.payload.content;
+  _set_clipboard: (payload) => {
+    const content = payload.content;
     navigator.clipboard.writeText(content);
-    return false;
-  }
+  },
 
-  if (event.name == "_download") {
+  _download: (payload) => {
     const a = document.createElement("a");
     a.hidden = true;
     // Special case when linking to uploaded files
-    a.href = event.payload.url.replace("${getBackendURL(env.UPLOAD)}", getBackendURL(env.UPLOAD))
-    a.download = event.payload.filename;
+    a.href = payload.url.replace("${getBackendURL(env.UPLOAD)}", getBackendURL(env.UPLOAD))
+    a.download = payload.filename;
     a.click();
     a.remove();
-    return false;
-  }
+  },
 
-  if (event.name == "_alert") {
-    alert(event.payload.message);
-    return false;
-  }
+  _alert: (payload) => {
+    alert(payload.message);
+  },
 
-  if (event.name == "_set_focus") {
-    const ref =
-      event.payload.ref in refs ? refs[event.payload.ref] : event.payload.ref;
+  _set_focus: (payload) => {
+    const ref = payload.ref in refs ? refs[payload.ref] : payload.ref;
     ref.current.focus();
-    return false;
-  }
+  },
 
-  if (event.name == "_set_value") {
-    const ref =
-      event.payload.ref in refs ? refs[event.payload.ref] : event.payload.ref;
+  _set_value: (payload) => {
+    const ref = payload.ref in refs ? refs[payload.ref] : payload.ref;
     if (ref.current) {
-      ref.current.value = event.payload.value;
+      ref.current.value = payload.value;
     }
-    return false;
+  },
+
+  _call_function: (payload) => {
+    const fn = client_functions[payload.function];
+    if (fn === undefined) {
+      throw new Error(`Unknown client function: ${payload.function}`);
+    }
+    return fn(...(payload.args ?? []));
+  },
+
+  _call_script: async (payload) => {
+    if (isCspSafe) {
+      throw new Error(
+        "call_script is disabled in CSP-safe mode, use call_function instead"
+      );
+    }
+    const eval_result = eval(payload.javascript_code);
+    if (payload.callback) {
+      if (!!eval_result && typeof eval_result.then === "function") {
+        eval(payload.callback)(await eval_result);
+      } else {
+        eval(payload.callback)(eval_result);
+      }
+    }
+  },
+};
+
+/**
+ * Register the handler of a client-side special event, which is handled in
+ * the browser instead of being sent to the backend.
+ *
+ * Registering the name of a built-in special event replaces it.
+ *
+ * @param name The name of the event, starting with "_".
+ * @param handler The function called with the event payload and the socket,
+ *   possibly async. If the event has a callback (see rx.client_event), its
+ *   result, or the value of the promise it returns, is sent to the callback.
+ */
+export const registerSpecialEvent = (name, handler) => {
+  if (!name.startsWith("_")) {
+    throw new Error(`Special event names must start with "_": ${name}`);
   }
+  special_events[name] = handler;
+};
 
-  if (event.name == "_call_script") {
+/**
+ * Send the result of a special event to its backend callback.
+ * @param callback The callback of the event: the `name` of the event handler,
+ *   its literal `args` and the `result_arg` receiving the result.
+ * @param result The result of the special event.
+ */
+const sendSpecialEventResult = (callback, result) => {
+  queueEvents(
+    [
+      Event(callback.name, {
+        ...callback.args,
+        [callback.result_arg]: result,
+      }),
+    ],
+    connection_socket
+  );
+};
+
+/**
+ * Handle frontend event or send the event to the backend via Websocket.
+ * @param event The event to send.
+ * @param socket The socket object to send the event on.
+ *
+ * @returns True if the event was sent, false if it was handled locally.
+ */
+export const applyEvent = async (event, socket) => {
+  // Handle special events
+  const special_event = special_events[event.name];
+  if (special_event !== undefined) {
     try {
-      const eval_result = eval(event.payload.javascript_code);
-      if (event.payload.callback) {
-        if (!!eval_result && typeof eval_result.then === "function") {
-          eval(event.payload.callback)(await eval_result);
-        } else {
-          eval(event.payload.callback)(eval_result);
-        }
+      const result = await special_event(event.payload, socket);
+      // The callback of call_script is code, evaluated by its handler.
+      const callback = event.payload?.callback;
+      if (callback && typeof callback === "object") {
+        sendSpecialEventResult(callback, result);
       }
     } catch (e) {
-      console.log("_call_script", e);
+      reportClientError(event.name, "script", e);
     }
     return false;
   }
@@ -221,10 +540,8 @@ export const applyEvent = async (event, socket) => {
 
   // Send the event to the server.
   if (socket) {
-    socket.emit(
-      "event",
-      JSON.stringify(event, (k, v) => (v === undefined ? null : v))
-    );
+    recordSent(event);
+    socket.emit("event", socket.relay ? event : await encodeEvent(event));
     return true;
   }
 
@@ -247,7 +564,15 @@ export const applyRestEvent = async (event, socket) => {
       event.payload.files,
       event.payload.upload_id,
       event.payload.on_upload_progress,
-      socket
+      socket,
+      {
+        chunk_size: event.payload.chunk_size,
+        parallel_chunks: event.payload.parallel_chunks,
+        max_files: event.payload.max_files,
+        max_size: event.payload.max_size,
+        accept: event.payload.accept,
+        on_upload_error: event.payload.on_upload_error,
+      }
     );
     return false;
   }
@@ -258,151 +583,1177 @@ export const applyRestEvent = async (event, socket) => {
  * Queue events to be processed and trigger processing of queue.
  * @param events Array of events to queue.
  * @param socket The socket object to send the event on.
+ * @param coalesce Whether to drop queued events with the same names first.
  */
-export const queueEvents = async (events, socket) => {
-  event_queue.push(...events);
+export const queueEvents = async (events, socket, coalesce = false) => {
+  // Cancel uploads right away, as the queue waits for the socket, which the
+  // upload does not need.
+  events
+    .filter((e) => e.name === "_cancel_upload")
+    .forEach((e) => special_events._cancel_upload(e.payload));
+  events = events.filter((e) => e.name !== "_cancel_upload");
+  if (coalesce) {
+    const names = new Set(events.map((e) => e.name));
+    for (let i = event_queue.length - 1; i >= 0; i--) {
+      if (names.has(event_queue[i].name)) {
+        const [replaced] = event_queue.splice(i, 1);
+        resolvePredictions((p) => p.client_id === replaced.client_id, false);
+      }
+    }
+  }
+  // Tag each event with a client-side id used to de-duplicate replays.
+  const queued = events.map((e) => ({
+    ...e,
+    client_id: e.client_id ?? generateUUID(),
+  }));
+  event_queue.push(...queued);
+  queued.filter((e) => e.optimistic).forEach(addPrediction);
+  recordQueued(queued);
+  persistEventQueue();
   await processEvent(socket.current);
 };
 
 /**
- * Process an event off the event queue.
+ * Queue events, honoring the debounce, throttle, coalesce, lane and timeout
+ * event actions.
+ *
+ * Debounced events are queued once they stop triggering for `debounce` ms.
+ * Throttled events are queued at most once every `throttle` ms, the latest
+ * trigger being queued at the end of the interval.
+ * Coalesced events replace queued events with the same names.
+ * Events with a lane are processed in that lane, see processEvent.
+ * Events with a timeout release their lane if the backend does not send the
+ * final update within `timeout` ms.
+ * Events with an optimistic delta apply it right away, see addPrediction.
+ *
+ * @param events Array of events to queue.
  * @param socket The socket object to send the event on.
+ * @param event_actions The event actions of the event chain.
  */
-export const processEvent = async (socket) => {
-  // Only proceed if the socket is up, otherwise we throw the event into the void
-  if (!socket) {
+export const scheduleEvents = (events, socket, event_actions = {}) => {
+  // Events are delayed per chain of event names.
+  const key = events.map((e) => e.name).join(",");
+  const queue = () => {
+    delete delayed_events[key];
+    event_last_queued[key] = Date.now();
+    const { lane, timeout, optimistic } = event_actions;
+    let queued =
+      lane || timeout ? events.map((e) => ({ ...e, lane, timeout })) : events;
+    if (optimistic) {
+      // The prediction holds until the last event of the chain finishes.
+      queued = [...queued.slice(0, -1), { ...queued.at(-1), optimistic }];
+    }
+    queueEvents(queued, socket, event_actions.coalesce);
+  };
+
+  let delay = 0;
+  if (event_actions.debounce) {
+    delay = event_actions.debounce;
+  } else if (event_actions.throttle) {
+    const last_queued = event_last_queued[key] ?? 0;
+    delay = Math.max(last_queued + event_actions.throttle - Date.now(), 0);
+    if (delay === 0 && !(key in delayed_events)) {
+      queue();
+      return;
+    }
+  } else {
+    queue();
     return;
   }
+  // Only the latest trigger is kept while the events are delayed.
+  clearTimeout(delayed_events[key]);
+  delayed_events[key] = setTimeout(queue, delay);
+};
 
-  // Only proceed if we're not already processing an event.
-  if (event_queue.length === 0 || event_processing) {
-    return;
+/**
+ * Get the values of a substate as sent by the backend.
+ * @param substate The full name of the substate.
+ * @returns The values of the substate.
+ */
+const getServerState = (substate) => {
+  if (server_state === undefined) {
+    server_state = { ...initialState };
   }
+  return server_state[substate] ?? {};
+};
 
-  // Set processing to true to block other events from being processed.
-  event_processing = true;
+/**
+ * Get the names of the vars updated by a substate delta.
+ * @param delta The substate delta.
+ * @returns The var names.
+ */
+const getDeltaKeys = (delta) => {
+  const keys = Object.keys(delta).filter((key) => key !== PATCH_KEY);
+  (delta[PATCH_KEY] ?? []).forEach((patch) =>
+    keys.push(parsePatchPath(patch.path)[0])
+  );
+  return keys;
+};
 
-  // Apply the next event in the queue.
-  const event = event_queue.shift();
+/**
+ * Get the values of a substate as displayed: the values sent by the backend
+ * with the pending predictions applied on top.
+ * @param substate The full name of the substate.
+ * @returns The displayed values of the substate.
+ */
+const getPredictedState = (substate) => {
+  return predictions.reduce(
+    (state, p) =>
+      p.delta[substate] ? applyDelta(state, p.delta[substate]) : state,
+    getServerState(substate)
+  );
+};
 
-  let eventSent = false;
-  // Process events with handlers via REST and all others via websockets.
-  if (event.handler) {
-    eventSent = await applyRestEvent(event, socket);
-  } else {
-    eventSent = await applyEvent(event, socket);
-  }
-  // If no event was sent, set processing to false.
-  if (!eventSent) {
-    event_processing = false;
-    // recursively call processEvent to drain the queue, since there is
-    // no state update to trigger the useEffect event loop.
-    await processEvent(socket);
+/**
+ * Dispatch the displayed values of some vars of a substate, after the values
+ * sent by the backend or the pending predictions changed.
+ * @param substate The full name of the substate.
+ * @param keys The names of the vars.
+ */
+const refreshPredictedVars = (substate, keys) => {
+  if (keys.length === 0 || !state_dispatch?.[substate]) {
+    return;
   }
+  const state = getPredictedState(substate);
+  state_dispatch[substate](
+    Object.fromEntries(keys.map((key) => [key, state[key]]))
+  );
 };
 
 /**
- * Connect to a websocket and set the handlers.
- * @param socket The socket object to connect.
- * @param dispatch The function to queue state update
- * @param transports The transports to use.
- * @param setConnectErrors The function to update connection error value.
- * @param client_storage The client storage object from context.js
+ * Notify the listeners of the optimistic predictions.
  */
-export const connect = async (
-  socket,
-  dispatch,
-  transports,
-  setConnectErrors,
-  client_storage = {}
-) => {
-  // Get backend URL object from the endpoint.
-  const endpoint = getBackendURL(EVENTURL);
+const notifyPredictionListeners = () => {
+  const status = {
+    pending: predictions.length,
+    rolled_back: rolled_back_predictions,
+  };
+  prediction_listeners.forEach((listener) => listener(status));
+};
 
-  // Create the socket.
-  socket.current = io(endpoint.href, {
-    path: endpoint["pathname"],
-    transports: transports,
-    autoUnref: false,
+/**
+ * Apply the optimistic delta of a queued event right away.
+ *
+ * The prediction is tracked until the final update of the event, then
+ * confirmed or rolled back to the values sent by the backend, see
+ * resolvePredictions.
+ *
+ * @param event The queued event, with an `optimistic` delta by substate.
+ */
+const addPrediction = (event) => {
+  const predicted = {};
+  for (const substate in event.optimistic) {
+    const delta = event.optimistic[substate];
+    const state = applyDelta(getPredictedState(substate), delta);
+    predicted[substate] = Object.fromEntries(
+      getDeltaKeys(delta).map((key) => [key, state[key]])
+    );
+    state_dispatch?.[substate]?.(delta);
+  }
+  predictions.push({
+    client_id: event.client_id,
+    name: event.name,
+    lane: event.lane ?? null,
+    delta: event.optimistic,
+    predicted,
+    sent: false,
   });
+  notifyPredictionListeners();
+};
 
-  function checkVisibility() {
-    if (document.visibilityState === "visible") {
-      if (!socket.current.connected) {
-        console.log("Socket is disconnected, attempting to reconnect ");
-        socket.current.connect();
-      } else {
-        console.log("Socket is reconnected ");
-      }
+/**
+ * Resolve optimistic predictions, keeping the values sent by the backend.
+ *
+ * A prediction is rolled back if the backend values of its vars differ from
+ * the predicted ones, which is the case when the event failed or timed out.
+ *
+ * @param filter Function selecting the predictions to resolve.
+ * @param confirm Whether the backend finished the events, otherwise the
+ *   predictions are rolled back.
+ */
+const resolvePredictions = (filter, confirm = true) => {
+  const resolved = predictions.filter(filter);
+  if (resolved.length === 0) {
+    return;
+  }
+  predictions = predictions.filter((p) => !resolved.includes(p));
+  for (const prediction of resolved) {
+    let rolled_back = !confirm;
+    for (const substate in prediction.predicted) {
+      const server = getServerState(substate);
+      const keys = Object.keys(prediction.predicted[substate]);
+      rolled_back ||= keys.some(
+        (key) =>
+          JSON.stringify(server[key]) !==
+          JSON.stringify(prediction.predicted[substate][key])
+      );
+      refreshPredictedVars(substate, keys);
+    }
+    if (rolled_back) {
+      rolled_back_predictions = [
+        ...rolled_back_predictions,
+        { event: prediction.name, timestamp: Date.now() },
+      ].slice(-MAX_ROLLED_BACK);
     }
   }
+  notifyPredictionListeners();
+};
 
-  // Once the socket is open, hydrate the page.
-  socket.current.on("connect", () => {
-    setConnectErrors([]);
-  });
+/**
+ * Record an update sent by the backend, keeping the pending predictions of
+ * the updated vars on top.
+ * @param delta The delta of the update.
+ */
+const applyServerDelta = (delta) => {
+  for (const substate in delta) {
+    const state = applyDelta(getServerState(substate), delta[substate]);
+    server_state[substate] = state;
+    const predicted_keys = new Set(
+      predictions.flatMap((p) => Object.keys(p.predicted[substate] ?? {}))
+    );
+    refreshPredictedVars(
+      substate,
+      getDeltaKeys(delta[substate]).filter((key) => predicted_keys.has(key))
+    );
+  }
+};
 
-  socket.current.on("connect_error", (error) => {
-    setConnectErrors((connectErrors) => [connectErrors.slice(-9), error]);
-  });
-  // On each received message, queue the updates and events.
-  socket.current.on("event", (message) => {
-    const update = JSON5.parse(message);
-    for (const substate in update.delta) {
-      dispatch[substate](update.delta[substate]);
-    }
-    applyClientStorageDelta(client_storage, update.delta);
-    event_processing = !update.final;
-    if (update.events) {
-      queueEvents(update.events, socket);
-    }
+/**
+ * React hook exposing the optimistic predictions.
+ *
+ * @returns {object} The number of `pending` predictions and the recent
+ *   `rolled_back` predictions, oldest first, each with the `event` name and
+ *   its `timestamp`.
+ */
+export const useOptimisticUpdates = () => {
+  const [status, setStatus] = useState({
+    pending: predictions.length,
+    rolled_back: rolled_back_predictions,
   });
+  useEffect(() => {
+    prediction_listeners.add(setStatus);
+    notifyPredictionListeners();
+    return () => prediction_listeners.delete(setStatus);
+  }, []);
+  return status;
+};
 
-  document.addEventListener("visibilitychange", checkVisibility);
+/**
+ * Check whether a lane of the event queue is processing an event.
+ * @param lane The lane name, or undefined for the main lane.
+ * @returns True if the lane is processing an event.
+ */
+const isLaneProcessing = (lane) => {
+  return lane ? !!lanes_processing[lane] : event_processing;
 };
 
 /**
- * Upload files to the server.
- *
- * @param state The state to apply the delta to.
- * @param handler The handler to use.
- * @param upload_id The upload id to use.
- * @param on_upload_progress The function to call on upload progress.
- * @param socket the websocket connection
- *
- * @returns The response from posting to the UPLOADURL endpoint.
+ * Set whether a lane of the event queue is processing an event.
+ * @param lane The lane name, or undefined for the main lane.
+ * @param processing Whether the lane is processing an event.
  */
-export const uploadFiles = async (
-  handler,
-  files,
-  upload_id,
-  on_upload_progress,
-  socket
-) => {
-  // return if there's no file to upload
-  if (files === undefined || files.length === 0) {
-    return false;
+const setLaneProcessing = (lane, processing) => {
+  if (!processing) {
+    clearTimeout(lane_timeouts[lane ?? ""]);
   }
-
-  if (upload_controllers[upload_id]) {
-    console.log("Upload already in progress for ", upload_id);
-    return false;
+  if (lane) {
+    lanes_processing[lane] = processing;
+  } else {
+    event_processing = processing;
   }
+};
 
-  let resp_idx = 0;
-  const eventHandler = (progressEvent) => {
-    // handle any delta / event streamed from the upload event handler
-    const chunks = progressEvent.event.target.responseText.trim().split("\n");
-    chunks.slice(resp_idx).map((chunk) => {
-      try {
-        socket._callbacks.$event.map((f) => {
-          f(chunk);
-        });
-        resp_idx += 1;
+/**
+ * Release the lane of a sent event if it gets no final update in time.
+ * @param event The sent event, with a `timeout` in ms.
+ * @param socket The socket object to send the next events on.
+ */
+const startEventTimeout = (event, socket) => {
+  const key = event.lane ?? "";
+  lane_timeouts[key] = setTimeout(() => {
+    timed_out_events.add(event.client_id);
+    setLaneProcessing(event.lane, false);
+    releaseInFlightEvent(event.lane);
+    resolvePredictions((p) => p.client_id === event.client_id);
+    reportClientError(
+      event.name,
+      "timeout",
+      `No final update received after ${event.timeout}ms`
+    );
+    processEvent(socket);
+  }, event.timeout);
+};
+
+/**
+ * Get the position in the queue of the next event that can be processed,
+ * the first one whose lane is not processing an event.
+ * @returns The index of the event, or -1 if none can be processed.
+ */
+const nextEventIndex = () => {
+  return event_queue.findIndex((e) => !isLaneProcessing(e.lane));
+};
+
+/**
+ * Process an event off the event queue.
+ *
+ * Events are processed one at a time in the main lane, while events with a
+ * `lane` are processed one at a time within their lane only, so a slow event
+ * does not block the events of other lanes in the queue. The backend still
+ * handles the events of a client one at a time, except background tasks.
+ *
+ * @param socket The socket object to send the event on.
+ */
+export const processEvent = async (socket) => {
+  // Only proceed if the socket is connected, otherwise the event stays queued
+  // (and persisted) until the socket reconnects.
+  if (!socket || !socket.connected) {
+    return;
+  }
+
+  // Only proceed if an event's lane is not already processing an event.
+  const index = nextEventIndex();
+  if (index === -1) {
+    return;
+  }
+
+  // Apply the next event in the queue.
+  const [event] = event_queue.splice(index, 1);
+
+  // Set processing to true to block other events of the lane from being processed.
+  setLaneProcessing(event.lane, true);
+
+  let eventSent = false;
+  // Process events with handlers via REST and all others via websockets.
+  if (event.handler) {
+    eventSent = await applyRestEvent(event, socket);
+  } else {
+    eventSent = await applyEvent(event, socket);
+  }
+  if (eventSent) {
+    // The backend skips the event if it is sent again after a reconnect.
+    in_flight_events[event.lane ?? ""] = event;
+    predictions
+      .filter((p) => p.client_id === event.client_id)
+      .forEach((p) => (p.sent = true));
+    if (tab_channel) {
+      lane_origins[event.lane ?? ""] = event.origin ?? tab_id;
+    }
+    if (event.timeout) {
+      startEventTimeout(event, socket);
+    }
+  } else {
+    // If no event was sent, set processing to false.
+    setLaneProcessing(event.lane, false);
+    resolvePredictions((p) => p.client_id === event.client_id);
+  }
+  persistEventQueue();
+  // recursively call processEvent to drain the queue (or start the events of
+  // other lanes), since there is no state update to trigger the useEffect event loop.
+  await processEvent(socket);
+};
+
+/**
+ * Check whether the tabs of the browser share one token and one socket.
+ * @returns The shareAcrossTabs connection option if set, else the one of the app.
+ */
+const isSharedAcrossTabs = () =>
+  connection_options.shareAcrossTabs ?? shareAcrossTabs;
+
+/**
+ * Override the options of the websocket connection.
+ * Takes effect the next time the socket connects.
+ * @param options The options to override, see connection_options.
+ */
+export const configureConnection = (options) => {
+  Object.assign(connection_options, options);
+};
+
+/**
+ * Update the connection status and notify the listeners.
+ * @param update The status fields to update.
+ */
+const updateConnectionStatus = (update) => {
+  connection_status = { ...connection_status, ...update };
+  connection_listeners.forEach((listener) => listener(connection_status));
+  broadcastConnectionStatus();
+};
+
+/**
+ * Share the status of the socket with the follower tabs, if this tab is the leader.
+ */
+const broadcastConnectionStatus = () => {
+  if (is_leader_tab && tab_channel) {
+    // Errors may hold objects that cannot be sent to other tabs.
+    const error = connection_status.error;
+    tab_channel.postMessage({
+      type: "status",
+      status: {
+        ...connection_status,
+        error: error ? { message: error.message } : null,
+      },
+    });
+  }
+};
+
+/**
+ * Drop the current websocket connection and connect again immediately.
+ */
+export const reconnect = () => {
+  const socket = connection_socket?.current;
+  if (!socket) {
+    return;
+  }
+  socket.disconnect();
+  updateConnectionStatus({ state: ConnectionState.RECONNECTING, attempts: 0 });
+  socket.connect();
+};
+
+/**
+ * React hook exposing the status of the websocket connection.
+ *
+ * @returns {object} The connection `state` (see ConnectionState), the number of
+ *   reconnection `attempts`, the last heartbeat round-trip `latency` in ms, the
+ *   last connection `error` and a `reconnect` function.
+ */
+export const useConnectionState = () => {
+  const [status, setStatus] = useState(connection_status);
+  useEffect(() => {
+    connection_listeners.add(setStatus);
+    setStatus(connection_status);
+    return () => connection_listeners.delete(setStatus);
+  }, []);
+  return { ...status, reconnect };
+};
+
+/**
+ * Get the options of the client error reporting.
+ *
+ * The options are `handler`, the name of the backend event handler called with
+ * each error, if any, and `maxErrors`, the number of recent errors returned by
+ * useClientErrors. The options of the app (App.client_error_handler and
+ * App.max_client_errors) are overridden by configureErrorReporting.
+ *
+ * @returns The options.
+ */
+const getErrorReportingOptions = () => ({
+  handler: null,
+  maxErrors: 10,
+  ...errorReporting,
+  ...error_reporting_options,
+});
+
+/**
+ * Override the options of the client error reporting.
+ * @param options The options to override, see getErrorReportingOptions.
+ */
+export const configureErrorReporting = (options) => {
+  Object.assign(error_reporting_options, options);
+};
+
+/**
+ * Report an error raised on the client.
+ *
+ * The error is logged, passed to the useClientErrors hooks and, if a handler
+ * is configured, sent to the backend as the `error` argument of the handler.
+ *
+ * @param event_name The name of the event the error relates to, if any.
+ * @param type The kind of error: "timeout", "script", "upload", "parse", "update"
+ *   or "storage".
+ * @param error The error or the error message.
+ */
+export const reportClientError = (event_name, type, error) => {
+  const client_error = {
+    event: event_name ?? null,
+    type,
+    message: error?.message ?? String(error),
+    timestamp: Date.now(),
+  };
+  console.log(`Client error (${type})`, event_name ?? "", error);
+  const options = getErrorReportingOptions();
+  client_errors = [...client_errors, client_error].slice(-options.maxErrors);
+  client_error_listeners.forEach((listener) => listener(client_errors));
+
+  // Never report the errors of the error handler itself to avoid loops.
+  const handler = options.handler;
+  if (handler && event_name !== handler && connection_socket) {
+    queueEvents([Event(handler, { error: client_error })], connection_socket);
+  }
+};
+
+/**
+ * React hook exposing the errors raised on the client.
+ *
+ * @returns {Array} The recent errors, oldest first, each with the `event` name,
+ *   the error `type`, the error `message` and its `timestamp`.
+ */
+export const useClientErrors = () => {
+  const [errors, setErrors] = useState(client_errors);
+  useEffect(() => {
+    client_error_listeners.add(setErrors);
+    setErrors(client_errors);
+    return () => client_error_listeners.delete(setErrors);
+  }, []);
+  return errors;
+};
+
+/**
+ * Create a stand-in for the socket of a follower tab, which relays its events
+ * to the leader tab owning the shared socket.
+ *
+ * It stores its listeners like a socket.io socket, so the same handlers work
+ * on both. The leader tab updates are applied directly from the tab channel.
+ *
+ * @returns The relay socket.
+ */
+const createRelaySocket = () => ({
+  connected: false,
+  // Events are relayed as is, the leader tab encodes them for the backend.
+  relay: true,
+  _callbacks: {},
+  on(name, listener) {
+    (this._callbacks[`$${name}`] ??= []).push(listener);
+    return this;
+  },
+  once(name, listener) {
+    const once = (...args) => {
+      this._callbacks[`$${name}`] = this._callbacks[`$${name}`].filter(
+        (f) => f !== once
+      );
+      listener(...args);
+    };
+    return this.on(name, once);
+  },
+  trigger(name, ...args) {
+    [...(this._callbacks[`$${name}`] ?? [])].forEach((f) => f(...args));
+  },
+  emit(name, event) {
+    if (name === "event") {
+      tab_channel.postMessage({ type: "event", event, origin: tab_id });
+    }
+    return this;
+  },
+  connect() {
+    // Ask the leader tab for the status of the shared socket.
+    tab_channel.postMessage({ type: "hello" });
+    return this;
+  },
+  disconnect() {
+    return this;
+  },
+});
+
+/**
+ * Connect to a websocket and set the handlers.
+ *
+ * When sharing across tabs (see isSharedAcrossTabs), the tabs of the browser elect a
+ * leader tab owning the only socket. The other tabs relay their events to it
+ * and receive all the updates through a BroadcastChannel. When the leader tab
+ * closes, another tab takes over and connects.
+ *
+ * @param socket The socket object to connect.
+ * @param dispatch The function to queue state update
+ * @param transports The transports to use.
+ * @param setConnectErrors The function to update connection error value.
+ * @param client_storage The client storage object from context.js
+ */
+export const connect = async (
+  socket,
+  dispatch,
+  transports,
+  setConnectErrors,
+  client_storage = {}
+) => {
+  connection_socket = socket;
+  tab_id = generateUUID();
+
+  /**
+   * Apply an update for this tab.
+   * @param update The decoded update.
+   * @param release Whether this tab sent the event, so the update releases its lane.
+   * @param own Whether the event came from this tab, so it handles the update events.
+   */
+  const applyUpdate = (update, release, own) => {
+    // The lane of a timed out event moved on, only its delta is still applied.
+    const late = timed_out_events.has(update.client_id);
+    if (late && update.final) {
+      timed_out_events.delete(update.client_id);
+    }
+    release &&= !late;
+    recordUpdate(update);
+    recordRouteDelta(update.delta);
+    for (const substate in update.delta) {
+      dispatch[substate](update.delta[substate]);
+    }
+    applyServerDelta(update.delta);
+    applyClientStorageDelta(client_storage, update.delta);
+    // The backend echoes the lane of the event the update is for.
+    if (release) {
+      setLaneProcessing(update.lane, !update.final);
+      if (update.final) {
+        releaseInFlightEvent(update.lane);
+      }
+    }
+    if (own && !late && update.final) {
+      resolvePredictions((p) => p.sent && p.lane === (update.lane ?? null));
+    }
+    // The on_load events of the page are done.
+    if (own && update.delta[state_name]?.is_hydrated === true) {
+      finishRouteTransition();
+    }
+    if (own && update.events) {
+      queueEvents(update.events, socket);
+    } else if (update.final) {
+      processEvent(socket.current);
+    }
+  };
+
+  // Updates are applied in the order received, even if decoding is async.
+  let pending_update = Promise.resolve();
+  // On each received message, queue the updates and events.
+  const onEventMessage = (message) => {
+    // Text messages are parsed right away, so incomplete ones throw to the caller.
+    const decoded =
+      typeof message === "string"
+        ? JSON5.parse(message)
+        : decodeMessage(message);
+    pending_update = pending_update
+      .then(async () => {
+        const update = await decoded;
+        // Find the tab which sent the event, and share the update with the other tabs.
+        const lane_key = update.lane ?? "";
+        const late = timed_out_events.has(update.client_id);
+        const origin =
+          (is_leader_tab && !late && lane_origins[lane_key]) || tab_id;
+        if (update.final && !late) {
+          delete lane_origins[lane_key];
+        }
+        tab_channel?.postMessage({ type: "update", update, origin });
+        applyUpdate(update, true, origin === tab_id);
+      })
+      .catch((e) => reportClientError(null, "update", e));
+  };
+
+  // Send the pending events on a new connection.
+  const onConnect = () => {
+    setConnectErrors([]);
+    // Any update for an event sent on a previous connection is lost, so the
+    // event is sent again and the backend skips it if it already processed it.
+    setLaneProcessing(undefined, false);
+    Object.keys(lanes_processing).forEach((lane) => {
+      setLaneProcessing(lane, false);
+      delete lanes_processing[lane];
+    });
+    requeueInFlightEvents();
+    processEvent(socket.current);
+  };
+
+  const connectSocket = () => {
+    // Get backend URL object from the endpoint.
+    const endpoint = getBackendURL(EVENTURL);
+
+    // A previous socket of the page no longer needs its timer and listeners.
+    stop_connection?.();
+
+    // Create the socket.
+    updateConnectionStatus({ state: ConnectionState.CONNECTING, attempts: 0 });
+    socket.current = io(endpoint.href, {
+      path: endpoint["pathname"],
+      transports: transports,
+      autoUnref: false,
+      // Let the backend pick the wire encoding, see WIRE_ENCODINGS.
+      query: { encodings: WIRE_ENCODINGS.join(",") },
+      reconnectionDelay: connection_options.reconnectionDelay,
+      reconnectionDelayMax: connection_options.reconnectionDelayMax,
+      randomizationFactor: connection_options.randomizationFactor,
+      reconnectionAttempts: connection_options.reconnectionAttempts,
+    });
+    let was_connected = false;
+
+    function checkVisibility() {
+      if (document.visibilityState === "visible") {
+        if (!socket.current.connected) {
+          console.log("Socket is disconnected, attempting to reconnect ");
+          socket.current.connect();
+        } else {
+          console.log("Socket is reconnected ");
+        }
+      }
+    }
+
+    // Measure the round-trip latency with periodic pings.
+    let ping_sent_at = null;
+    const sendHeartbeat = () => {
+      if (socket.current.connected) {
+        ping_sent_at = performance.now();
+        socket.current.emit("ping");
+      }
+    };
+    const heartbeat = setInterval(
+      sendHeartbeat,
+      connection_options.heartbeatInterval
+    );
+    socket.current.on("ping", () => {
+      if (ping_sent_at !== null) {
+        updateConnectionStatus({
+          latency: Math.round(performance.now() - ping_sent_at),
+        });
+        ping_sent_at = null;
+      }
+    });
+
+    // Once the socket is open, send the pending events.
+    socket.current.on("connect", () => {
+      was_connected = true;
+      updateConnectionStatus({
+        state: ConnectionState.CONNECTED,
+        attempts: 0,
+        error: null,
+      });
+      sendHeartbeat();
+      onConnect();
+    });
+
+    socket.current.on("connect_error", (error) => {
+      updateConnectionStatus({ error });
+      setConnectErrors((connectErrors) => [connectErrors.slice(-9), error]);
+    });
+
+    socket.current.on("disconnect", (reason) => {
+      // The encoding is negotiated again on the next connection.
+      wire_encoding = "json5";
+      if (reason === "io client disconnect") {
+        updateConnectionStatus({ state: ConnectionState.OFFLINE });
+        return;
+      }
+      updateConnectionStatus({ state: ConnectionState.RECONNECTING });
+      if (reason === "io server disconnect") {
+        // The socket does not reconnect by itself when the server closed it.
+        socket.current.connect();
+      }
+    });
+
+    socket.current.io.on("reconnect_attempt", (attempt) => {
+      updateConnectionStatus({
+        state: was_connected
+          ? ConnectionState.RECONNECTING
+          : ConnectionState.CONNECTING,
+        attempts: attempt,
+      });
+    });
+
+    socket.current.io.on("reconnect_failed", () => {
+      updateConnectionStatus({ state: ConnectionState.OFFLINE });
+    });
+
+    const goOffline = () => {
+      updateConnectionStatus({ state: ConnectionState.OFFLINE });
+    };
+    window.addEventListener("offline", goOffline);
+    window.addEventListener("online", reconnect);
+
+    // The backend announces the encoding it picked from the offered ones.
+    socket.current.on("encoding", (encoding) => {
+      wire_encoding = WIRE_ENCODINGS.includes(encoding) ? encoding : "json5";
+    });
+
+    socket.current.on("event", onEventMessage);
+
+    document.addEventListener("visibilitychange", checkVisibility);
+
+    stop_connection = () => {
+      clearInterval(heartbeat);
+      window.removeEventListener("offline", goOffline);
+      window.removeEventListener("online", reconnect);
+      document.removeEventListener("visibilitychange", checkVisibility);
+    };
+  };
+
+  if (
+    !isSharedAcrossTabs() ||
+    typeof BroadcastChannel === "undefined" ||
+    !navigator.locks
+  ) {
+    connectSocket();
+    return;
+  }
+
+  // Follow the leader tab until this tab becomes the leader.
+  is_leader_tab = false;
+  tab_channel = new BroadcastChannel(TAB_CHANNEL_NAME);
+  socket.current = createRelaySocket();
+  socket.current.on("connect", onConnect);
+  socket.current.on("event", onEventMessage);
+  tab_channel.onmessage = ({ data: message }) => {
+    if (message.type === "event" && is_leader_tab) {
+      // Send the event of a follower tab on the shared socket.
+      queueEvents([{ ...message.event, origin: message.origin }], socket);
+    } else if (message.type === "update") {
+      const own = message.origin === tab_id;
+      applyUpdate(message.update, own, own);
+    } else if (message.type === "hello" && is_leader_tab) {
+      broadcastConnectionStatus();
+    } else if (message.type === "status" && !is_leader_tab) {
+      const was_connected = socket.current.connected;
+      socket.current.connected =
+        message.status.state === ConnectionState.CONNECTED;
+      updateConnectionStatus(message.status);
+      if (socket.current.connected && !was_connected) {
+        socket.current.trigger("connect");
+      }
+    }
+  };
+  socket.current.connect();
+
+  // The lock is held until the tab closes, then the next tab gets it.
+  navigator.locks.request(TAB_LEADER_LOCK, () => {
+    is_leader_tab = true;
+    connectSocket();
+    return new Promise(() => {});
+  });
+};
+
+/**
+ * Get the local storage key tracking the uploaded chunks of an upload.
+ * @param upload_id The upload id.
+ * @returns The local storage key.
+ */
+const uploadLedgerKey = (upload_id) =>
+  `${UPLOAD_LEDGER_KEY_PREFIX}${upload_id}`;
+
+/**
+ * Check whether a file matches an accepted MIME type or file extension.
+ * @param file The file to check.
+ * @param pattern A MIME type like "image/png" or "image/*", or an extension like ".png".
+ * @returns True if the file matches the pattern.
+ */
+const fileMatchesAccept = (file, pattern) => {
+  if (pattern.startsWith(".")) {
+    return (file.path || file.name).toLowerCase().endsWith(pattern);
+  }
+  if (pattern.endsWith("/*")) {
+    return (file.type || "").toLowerCase().startsWith(pattern.slice(0, -1));
+  }
+  return (file.type || "").toLowerCase() === pattern;
+};
+
+/**
+ * Check the files against the upload restrictions before sending them.
+ *
+ * @param files The files to upload.
+ * @param options The upload restrictions: max_files, max_size (bytes) and accept,
+ *   either a list of MIME types and extensions or a {mime_type: [extensions]} object.
+ *
+ * @returns The rejected files, each with the list of errors: "too-many-files",
+ *   "file-too-large" or "file-invalid-type".
+ */
+export const validateUploadFiles = (files, options = {}) => {
+  const accept = (
+    options.accept && !Array.isArray(options.accept)
+      ? Object.entries(options.accept).flat(2)
+      : [].concat(options.accept ?? [])
+  ).map((pattern) => pattern.trim().toLowerCase());
+  const rejections = [];
+  files.forEach((file) => {
+    const errors = [];
+    if (options.max_files && files.length > options.max_files) {
+      errors.push("too-many-files");
+    }
+    if (options.max_size && file.size > options.max_size) {
+      errors.push("file-too-large");
+    }
+    if (
+      accept.length > 0 &&
+      !accept.some((pattern) => fileMatchesAccept(file, pattern))
+    ) {
+      errors.push("file-invalid-type");
+    }
+    if (errors.length > 0) {
+      rejections.push({
+        name: file.path || file.name,
+        size: file.size,
+        type: file.type,
+        errors,
+      });
+    }
+  });
+  return rejections;
+};
+
+/**
+ * Track the progress and status of each file of an upload.
+ *
+ * A file status is one of "pending", "uploading", "uploaded" (all bytes sent),
+ * "done" (handled by the backend), "cancelled" or "error".
+ *
+ * @param files The files to upload.
+ * @param on_upload_progress The function to call on upload progress.
+ *
+ * @returns An object to set the bytes sent for a file, set the status of all
+ *   files and report the progress.
+ */
+const trackUploadProgress = (files, on_upload_progress) => {
+  const statuses = files.map((file) => ({
+    name: file.path || file.name,
+    size: file.size,
+    loaded: 0,
+    status: "pending",
+  }));
+  const total = files.reduce((size, file) => size + file.size, 0);
+  return {
+    setLoaded(file_index, loaded) {
+      const file_status = statuses[file_index];
+      file_status.loaded = Math.min(loaded, file_status.size);
+      if (file_status.loaded >= file_status.size) {
+        file_status.status = "uploaded";
+      } else if (file_status.loaded > 0) {
+        file_status.status = "uploading";
+      } else {
+        file_status.status = "pending";
+      }
+    },
+    setStatus(status) {
+      statuses.forEach((file_status) => {
+        file_status.status = status;
+        if (status === "done") {
+          file_status.loaded = file_status.size;
+        }
+      });
+    },
+    report(progressEvent = {}) {
+      if (!on_upload_progress) {
+        return;
+      }
+      const loaded = statuses.reduce((sum, s) => sum + s.loaded, 0);
+      on_upload_progress({
+        loaded,
+        total,
+        progress: total > 0 ? loaded / total : 1,
+        ...progressEvent,
+        files: statuses.map((s) => ({
+          ...s,
+          progress: s.size > 0 ? s.loaded / s.size : 1,
+        })),
+      });
+    },
+  };
+};
+
+/**
+ * Upload files to the server in chunks.
+ *
+ * Each chunk is posted to the UPLOADURL endpoint with the Reflex-Upload-Id,
+ * Reflex-Upload-File-Index, Reflex-Upload-Offset and Reflex-Upload-File-Size
+ * headers. The last chunk is always sent alone, after all the others, with the
+ * Reflex-Upload-Complete header: its response streams the handler updates.
+ *
+ * Uploaded chunks are recorded in the local storage, so uploading the same
+ * files with the same upload id after a failure or a reload resumes the upload.
+ *
+ * @param files The files to upload.
+ * @param upload_id The upload id to use.
+ * @param config The axios config shared by all chunk requests.
+ * @param options The chunking options: chunk_size and parallel_chunks.
+ * @param progress The progress tracker of the upload.
+ * @param socket the websocket connection
+ *
+ * @returns The response to the last chunk.
+ */
+const uploadFileChunks = async (
+  files,
+  upload_id,
+  config,
+  options,
+  progress,
+  socket
+) => {
+  const chunk_size = options.chunk_size;
+  const chunks = [];
+  files.forEach((file, file_index) => {
+    let offset = 0;
+    do {
+      const end = Math.min(offset + chunk_size, file.size);
+      chunks.push({
+        id: `${file_index}:${offset}`,
+        file,
+        file_index,
+        offset,
+        end,
+      });
+      offset = end;
+    } while (offset < file.size);
+  });
+
+  // Resume from the chunks already uploaded for the same files.
+  const signature = files
+    .map(
+      (file) => `${file.path || file.name}:${file.size}:${file.lastModified}`
+    )
+    .join("|");
+  const ledger = JSON.parse(
+    localStorage.getItem(uploadLedgerKey(upload_id)) || "null"
+  );
+  const done = new Set(ledger?.signature === signature ? ledger.done : []);
+  const saveLedger = () =>
+    localStorage.setItem(
+      uploadLedgerKey(upload_id),
+      JSON.stringify({ signature, done: [...done] })
+    );
+
+  const loaded_by_chunk = {};
+  const reportProgress = () => {
+    files.forEach((file, file_index) =>
+      progress.setLoaded(
+        file_index,
+        chunks
+          .filter((chunk) => chunk.file_index === file_index)
+          .reduce((sum, chunk) => sum + (loaded_by_chunk[chunk.id] ?? 0), 0)
+      )
+    );
+    progress.report();
+  };
+  chunks
+    .filter((chunk) => done.has(chunk.id))
+    .forEach((chunk) => (loaded_by_chunk[chunk.id] = chunk.end - chunk.offset));
+  reportProgress();
+
+  const sendChunk = async (chunk, complete) => {
+    const formdata = new FormData();
+    formdata.append(
+      "files",
+      chunk.file.slice(chunk.offset, chunk.end),
+      chunk.file.path || chunk.file.name
+    );
+    const chunk_config = {
+      ...config,
+      headers: {
+        ...config.headers,
+        "Reflex-Upload-Id": upload_id,
+        "Reflex-Upload-File-Index": chunk.file_index,
+        "Reflex-Upload-Offset": chunk.offset,
+        "Reflex-Upload-File-Size": chunk.file.size,
+      },
+      onUploadProgress: (progressEvent) => {
+        loaded_by_chunk[chunk.id] = Math.min(
+          progressEvent.loaded,
+          chunk.end - chunk.offset
+        );
+        reportProgress();
+      },
+    };
+    if (complete) {
+      chunk_config.headers["Reflex-Upload-Complete"] = "true";
+    } else {
+      // Only the last chunk streams back the handler updates.
+      delete chunk_config.onDownloadProgress;
+    }
+    for (let attempt = 1; ; attempt++) {
+      // Wait for the backend to be reachable again (or a cancellation) before retrying.
+      if (socket && !socket.connected) {
+        await new Promise((resolve) => {
+          socket.once("connect", resolve);
+          config.signal.addEventListener("abort", resolve, { once: true });
+        });
+      }
+      try {
+        const response = await axios.post(
+          getBackendURL(UPLOADURL),
+          formdata,
+          chunk_config
+        );
+        loaded_by_chunk[chunk.id] = chunk.end - chunk.offset;
+        return response;
+      } catch (error) {
+        if (axios.isCancel(error) || attempt >= UPLOAD_CHUNK_ATTEMPTS) {
+          throw error;
+        }
+        delete loaded_by_chunk[chunk.id];
+        await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** attempt));
+      }
+    }
+  };
+
+  // Send all but the last chunk, in parallel if requested.
+  const last_chunk = chunks[chunks.length - 1];
+  const pending = chunks.filter(
+    (chunk) => chunk !== last_chunk && !done.has(chunk.id)
+  );
+  const worker = async () => {
+    while (pending.length > 0) {
+      const chunk = pending.shift();
+      await sendChunk(chunk, false);
+      done.add(chunk.id);
+      saveLedger();
+    }
+  };
+  await Promise.all(
+    Array.from({ length: options.parallel_chunks || 1 }, worker)
+  );
+
+  const response = await sendChunk(last_chunk, true);
+  localStorage.removeItem(uploadLedgerKey(upload_id));
+  return response;
+};
+
+/**
+ * Upload files to the server.
+ *
+ * @param state The state to apply the delta to.
+ * @param handler The handler to use.
+ * @param upload_id The upload id to use.
+ * @param on_upload_progress The function to call on upload progress, with the
+ *   overall progress and the progress and status of each file.
+ * @param socket the websocket connection
+ * @param options Set chunk_size (bytes) to upload the files in resumable chunks,
+ *   and parallel_chunks to send several chunks at once. Set max_files, max_size
+ *   and accept to reject files before sending them (see validateUploadFiles).
+ *   on_upload_error is called with {upload_id, reason, message, rejected} when
+ *   files are rejected ("invalid"), or the upload is "cancelled" or "failed".
+ *
+ * @returns The response from posting to the UPLOADURL endpoint.
+ */
+export const uploadFiles = async (
+  handler,
+  files,
+  upload_id,
+  on_upload_progress,
+  socket,
+  options = {}
+) => {
+  // return if there's no file to upload
+  if (files === undefined || files.length === 0) {
+    return false;
+  }
+
+  if (upload_controllers[upload_id]) {
+    console.log("Upload already in progress for ", upload_id);
+    return false;
+  }
+
+  const rejected = validateUploadFiles(files, options);
+  if (rejected.length > 0) {
+    options.on_upload_error?.({
+      upload_id,
+      reason: "invalid",
+      message: `${rejected.length} file(s) rejected before upload`,
+      rejected,
+    });
+    return false;
+  }
+
+  let resp_idx = 0;
+  const eventHandler = (progressEvent) => {
+    // handle any delta / event streamed from the upload event handler
+    const chunks = progressEvent.event.target.responseText.trim().split("\n");
+    chunks.slice(resp_idx).map((chunk) => {
+      try {
+        socket._callbacks.$event.map((f) => {
+          f(chunk);
+        });
+        resp_idx += 1;
       } catch (e) {
         if (progressEvent.progress === 1) {
           // Chunk may be incomplete, so only report errors when full response is available.
-          console.log("Error parsing chunk", chunk, e);
+          reportClientError(handler, "parse", e);
         }
         return;
       }
@@ -418,35 +1769,72 @@ export const uploadFiles = async (
     signal: controller.signal,
     onDownloadProgress: eventHandler,
   };
-  if (on_upload_progress) {
-    config["onUploadProgress"] = on_upload_progress;
-  }
-  const formdata = new FormData();
-
-  // Add the token and handler to the file name.
-  files.forEach((file) => {
-    formdata.append("files", file, file.path || file.name);
-  });
+  const progress = trackUploadProgress(files, on_upload_progress);
 
   // Send the file to the server.
   upload_controllers[upload_id] = controller;
 
   try {
-    return await axios.post(getBackendURL(UPLOADURL), formdata, config);
+    let response;
+    if (options.chunk_size) {
+      response = await uploadFileChunks(
+        files,
+        upload_id,
+        config,
+        options,
+        progress,
+        socket
+      );
+    } else {
+      if (on_upload_progress) {
+        config["onUploadProgress"] = (progressEvent) => {
+          // Spread the bytes sent over the files, in the order they are sent.
+          let sent = progressEvent.total
+            ? (progressEvent.loaded / progressEvent.total) *
+              files.reduce((size, file) => size + file.size, 0)
+            : 0;
+          files.forEach((file, file_index) => {
+            const loaded = Math.min(sent, file.size);
+            progress.setLoaded(file_index, loaded);
+            sent -= loaded;
+          });
+          progress.report(progressEvent);
+        };
+      }
+      const formdata = new FormData();
+
+      // Add the token and handler to the file name.
+      files.forEach((file) => {
+        formdata.append("files", file, file.path || file.name);
+      });
+
+      response = await axios.post(getBackendURL(UPLOADURL), formdata, config);
+    }
+    progress.setStatus("done");
+    progress.report();
+    return response;
   } catch (error) {
-    if (error.response) {
+    const cancelled = axios.isCancel(error);
+    if (cancelled) {
+      // Do not resume a cancelled upload.
+      localStorage.removeItem(uploadLedgerKey(upload_id));
+    } else if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
-      console.log(error.response.data);
-    } else if (error.request) {
-      // The request was made but no response was received
-      // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
-      // http.ClientRequest in node.js
-      console.log(error.request);
+      reportClientError(handler, "upload", JSON.stringify(error.response.data));
     } else {
-      // Something happened in setting up the request that triggered an Error
-      console.log(error.message);
+      // The request was made but no response was received, or something
+      // happened in setting up the request that triggered an Error
+      reportClientError(handler, "upload", error);
     }
+    progress.setStatus(cancelled ? "cancelled" : "error");
+    progress.report();
+    options.on_upload_error?.({
+      upload_id,
+      reason: cancelled ? "cancelled" : "failed",
+      message: error.message,
+      rejected: [],
+    });
     return false;
   } finally {
     delete upload_controllers[upload_id];
@@ -454,14 +1842,178 @@ export const uploadFiles = async (
 };
 
 /**
- * Create an event object.
- * @param name The name of the event.
- * @param payload The payload of the event.
- * @param handler The client handler to process event.
- * @returns The event object.
+ * Create an event object.
+ * @param name The name of the event.
+ * @param payload The payload of the event.
+ * @param handler The client handler to process event.
+ * @returns The event object.
+ */
+export const Event = (name, payload = {}, handler = null) => {
+  return { name, payload, handler };
+};
+
+/**
+ * Serialize a client storage value as JSON, along with its expiry.
+ * @param value The value to store.
+ * @param options The client storage options of the var.
+ * @returns The serialized entry, or null if it exceeds the maxSize option.
+ */
+const serializeStorageEntry = (value, options) => {
+  const entry = JSON.stringify({
+    value,
+    expires: options.maxAge ? Date.now() + options.maxAge * 1000 : null,
+  });
+  if (
+    options.maxSize &&
+    new TextEncoder().encode(entry).length > options.maxSize
+  ) {
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Deserialize a client storage entry.
+ * @param entry The serialized entry.
+ * @returns The stored value, or undefined if the entry is missing, expired or invalid.
+ */
+const deserializeStorageEntry = (entry) => {
+  if (entry === null || entry === undefined) {
+    return undefined;
+  }
+  try {
+    const { value, expires } = JSON.parse(entry);
+    if (expires && expires <= Date.now()) {
+      return undefined;
+    }
+    return value;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * Read a sessionStorage client storage var, dropping the expired value.
+ * @param key The key of the var in the sessionStorage.
+ * @returns The stored value, or undefined if not set.
+ */
+const readSessionStorage = (key) => {
+  const entry = sessionStorage.getItem(key);
+  const value = deserializeStorageEntry(entry);
+  if (value === undefined && entry !== null) {
+    sessionStorage.removeItem(key);
+  }
+  return value;
+};
+
+/**
+ * Write a sessionStorage client storage var.
+ *
+ * Values larger than the maxSize option or the storage quota are not stored.
+ *
+ * @param key The key of the var in the sessionStorage.
+ * @param value The value to store.
+ * @param options The client storage options of the var.
+ */
+const writeSessionStorage = (key, value, options) => {
+  const entry = serializeStorageEntry(value, options);
+  try {
+    if (entry === null) {
+      throw new Error(`Value of ${key} exceeds ${options.maxSize} bytes`);
+    }
+    sessionStorage.setItem(key, entry);
+  } catch (e) {
+    // Do not restore an outdated value on the next page load.
+    sessionStorage.removeItem(key);
+    reportClientError(null, "storage", e);
+  }
+};
+
+/**
+ * Run a request against the IndexedDB object store of the client storage vars.
+ * @param mode The mode of the transaction, "readonly" or "readwrite".
+ * @param request Function creating the request from the object store.
+ * @returns A promise of the result of the request.
+ */
+const requestIndexedDB = async (mode, request) => {
+  if (indexed_db === undefined) {
+    indexed_db = new Promise((resolve, reject) => {
+      const open = indexedDB.open(INDEXED_DB_NAME, 1);
+      open.onupgradeneeded = () =>
+        open.result.createObjectStore(INDEXED_DB_STORE);
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+  }
+  const db = await indexed_db;
+  return new Promise((resolve, reject) => {
+    const req = request(
+      db.transaction(INDEXED_DB_STORE, mode).objectStore(INDEXED_DB_STORE)
+    );
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+};
+
+/**
+ * Read the indexed_db client storage vars, since IndexedDB is asynchronous
+ * and hydrateClientStorage is not.
+ * @param client_storage The client storage object from context.js
+ * @returns A promise resolved once the vars are read, only once per page load.
  */
-export const Event = (name, payload = {}, handler = null) => {
-  return { name, payload, handler };
+export const loadIndexedDB = (client_storage) => {
+  if (indexed_db_loaded === undefined) {
+    indexed_db_loaded = (async () => {
+      if (!client_storage.indexed_db || typeof indexedDB === "undefined") {
+        return;
+      }
+      for (const state_key in client_storage.indexed_db) {
+        const options = client_storage.indexed_db[state_key];
+        const key = options.name || state_key;
+        const entry = await requestIndexedDB("readonly", (store) =>
+          store.get(key)
+        );
+        const value = deserializeStorageEntry(entry);
+        if (value !== undefined) {
+          indexed_db_values[key] = value;
+        } else if (entry !== undefined) {
+          await requestIndexedDB("readwrite", (store) => store.delete(key));
+        }
+      }
+    })().catch((e) => reportClientError(null, "storage", e));
+  }
+  return indexed_db_loaded;
+};
+
+/**
+ * Write an indexed_db client storage var.
+ *
+ * Values larger than the maxSize option are not stored.
+ *
+ * @param key The key of the var in the object store.
+ * @param value The value to store.
+ * @param options The client storage options of the var.
+ */
+const writeIndexedDB = (key, value, options) => {
+  if (typeof indexedDB === "undefined") {
+    return;
+  }
+  const entry = serializeStorageEntry(value, options);
+  if (entry === null) {
+    // Do not restore an outdated value on the next page load.
+    delete indexed_db_values[key];
+    requestIndexedDB("readwrite", (store) => store.delete(key)).catch(() => {});
+    reportClientError(
+      null,
+      "storage",
+      `Value of ${key} exceeds ${options.maxSize} bytes`
+    );
+    return;
+  }
+  indexed_db_values[key] = value;
+  requestIndexedDB("readwrite", (store) => store.put(entry, key)).catch((e) =>
+    reportClientError(null, "storage", e)
+  );
 };
 
 /**
@@ -477,6 +2029,9 @@ export const hydrateClientStorage = (client_storage) => {
       const cookie_options = client_storage.cookies[state_key];
       const cookie_name = cookie_options.name || state_key;
       const cookie_value = cookies.get(cookie_name);
+      if (cookie_options.sync) {
+        synced_cookie_values[cookie_name] = cookie_value;
+      }
       if (cookie_value !== undefined) {
         client_storage_values[state_key] = cookies.get(cookie_name);
       }
@@ -493,12 +2048,77 @@ export const hydrateClientStorage = (client_storage) => {
       }
     }
   }
-  if (client_storage.cookies || client_storage.local_storage) {
+  if (client_storage.session_storage && typeof window !== "undefined") {
+    for (const state_key in client_storage.session_storage) {
+      const options = client_storage.session_storage[state_key];
+      const session_storage_value = readSessionStorage(
+        options.name || state_key
+      );
+      if (session_storage_value !== undefined) {
+        client_storage_values[state_key] = session_storage_value;
+      }
+    }
+  }
+  if (client_storage.indexed_db) {
+    // Read beforehand by loadIndexedDB.
+    for (const state_key in client_storage.indexed_db) {
+      const options = client_storage.indexed_db[state_key];
+      const indexed_db_value = indexed_db_values[options.name || state_key];
+      if (indexed_db_value !== undefined) {
+        client_storage_values[state_key] = indexed_db_value;
+      }
+    }
+  }
+  if (
+    client_storage.cookies ||
+    client_storage.local_storage ||
+    client_storage.session_storage ||
+    client_storage.indexed_db
+  ) {
     return client_storage_values;
   }
   return {};
 };
 
+/**
+ * Get the channel notifying the other tabs of changed cookies.
+ * @returns The BroadcastChannel, or null if not supported.
+ */
+const getCookieChannel = () => {
+  if (cookie_channel === undefined) {
+    cookie_channel =
+      typeof BroadcastChannel !== "undefined"
+        ? new BroadcastChannel(COOKIE_SYNC_CHANNEL_NAME)
+        : null;
+  }
+  return cookie_channel;
+};
+
+/**
+ * Notify the other tabs that a synced cookie changed.
+ * @param cookie_name The name of the changed cookie.
+ */
+const notifyCookieChanged = (cookie_name) => {
+  getCookieChannel()?.postMessage({ name: cookie_name });
+};
+
+/**
+ * Check the synced cookies for values changed by another tab.
+ * @param cookie_to_state_map The state keys of the synced cookies, by cookie name.
+ * @returns The changed values by state key.
+ */
+const getChangedCookies = (cookie_to_state_map) => {
+  const vars = {};
+  for (const cookie_name in cookie_to_state_map) {
+    const value = cookies.get(cookie_name);
+    if (value !== synced_cookie_values[cookie_name]) {
+      synced_cookie_values[cookie_name] = value;
+      vars[cookie_to_state_map[cookie_name]] = value ?? null;
+    }
+  }
+  return vars;
+};
+
 /**
  * Update client storage values based on backend state delta.
  * @param client_storage The client storage object from context.js
@@ -525,7 +2145,13 @@ const applyClientStorageDelta = (client_storage, delta) => {
         const cookie_options = { ...client_storage.cookies[state_key] };
         const cookie_name = cookie_options.name || state_key;
         delete cookie_options.name; // name is not a valid cookie option
+        delete cookie_options.sync; // sync is not a valid cookie option
         cookies.set(cookie_name, delta[substate][key], cookie_options);
+        if (client_storage.cookies[state_key].sync) {
+          // this tab already knows the value, only notify the other tabs
+          synced_cookie_values[cookie_name] = cookies.get(cookie_name);
+          notifyCookieChanged(cookie_name);
+        }
       } else if (
         client_storage.local_storage &&
         state_key in client_storage.local_storage &&
@@ -533,11 +2159,409 @@ const applyClientStorageDelta = (client_storage, delta) => {
       ) {
         const options = client_storage.local_storage[state_key];
         localStorage.setItem(options.name || state_key, delta[substate][key]);
+      } else if (
+        client_storage.session_storage &&
+        state_key in client_storage.session_storage &&
+        typeof window !== "undefined"
+      ) {
+        const options = client_storage.session_storage[state_key];
+        writeSessionStorage(
+          options.name || state_key,
+          delta[substate][key],
+          options
+        );
+      } else if (
+        client_storage.indexed_db &&
+        state_key in client_storage.indexed_db
+      ) {
+        const options = client_storage.indexed_db[state_key];
+        writeIndexedDB(
+          options.name || state_key,
+          delta[substate][key],
+          options
+        );
       }
     }
   }
 };
 
+// Route guards registered by the app, see registerRouteGuard.
+const route_guards = [];
+
+// The path whose navigation passed the guards, so its page is displayed at once.
+let allowed_path = null;
+
+// The path whose navigation was already confirmed, when going back or forward
+// or redirected by a guard, so the blockers are not asked again.
+let confirmed_path = null;
+
+// The history state of the displayed page, to restore it when leaving through
+// the back or forward buttons is cancelled.
+let page_history_state = null;
+
+// The mounted navigation blockers, see useNavigationBlocker.
+const navigation_blockers = new Set();
+
+// Thrown from routeChangeStart to cancel a route change, see cancelRouteChange.
+const ROUTE_CHANGE_CANCELLED =
+  "Route change cancelled by a route guard or navigation blocker, this error can be ignored.";
+
+// Context used to read the main state of apps without state.
+const NoStateContext = createContext(null);
+
+/**
+ * Find the guard of a path, declared with the page.
+ * @param path The path.
+ * @returns The guard, or null if the page is not guarded.
+ */
+const findRouteGuard = (path) => {
+  const match = findRoute(Object.keys(routeGuards), path);
+  return match ? routeGuards[match.route] : null;
+};
+
+/**
+ * Check whether the guards of a path depend on the state.
+ * @param path The path.
+ * @returns True if the state must be hydrated to check them.
+ */
+const routeGuardNeedsState = (path) =>
+  route_guards.length > 0 || Boolean(findRouteGuard(path)?.var);
+
+/**
+ * Check the guards of a path.
+ * @param path The path.
+ * @returns The path to redirect to, or null if the navigation is allowed.
+ */
+const checkRouteGuards = (path) => {
+  for (const guard of route_guards) {
+    const redirect = guard(path);
+    if (redirect && redirect !== path) {
+      return redirect;
+    }
+  }
+  const guard = findRouteGuard(path);
+  if (guard === null || guard.redirect === path) {
+    return null;
+  }
+  const passed =
+    (!guard.cookie || cookies.get(guard.cookie) !== undefined) &&
+    (!guard.var || Boolean(getServerState(guard.var.state)[guard.var.name]));
+  return passed ? null : guard.redirect;
+};
+
+/**
+ * Register a route guard, checked before each navigation and on page load.
+ *
+ * @param guard Function called with the path to navigate to, returning the
+ *   path to redirect to, or null to allow the navigation. On page load it is
+ *   only called once the state is hydrated.
+ *
+ * @returns A function to unregister the guard.
+ */
+export const registerRouteGuard = (guard) => {
+  route_guards.push(guard);
+  return () => {
+    const index = route_guards.indexOf(guard);
+    if (index !== -1) {
+      route_guards.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Ask to confirm leaving the page if a navigation blocker is mounted.
+ * @returns True if the navigation can go on.
+ */
+const confirmNavigation = () => {
+  const [blocker] = navigation_blockers;
+  return blocker === undefined || window.confirm(blocker.message);
+};
+
+/**
+ * Cancel the route change in progress.
+ * @param url The url of the route change.
+ */
+const cancelRouteChange = (url) => {
+  Router.events.emit(
+    "routeChangeError",
+    new Error("Route change cancelled"),
+    url,
+    {
+      shallow: false,
+    }
+  );
+  // The router has no way to cancel a route change but throwing from routeChangeStart.
+  throw ROUTE_CHANGE_CANCELLED;
+};
+
+/**
+ * Navigate to a url once the navigation blockers and route guards allow it,
+ * instead of cancelling the route change in progress.
+ * @param url The url to navigate to, without the base path.
+ * @returns A promise resolving to true if the page was displayed.
+ */
+const navigate = (url) => {
+  if (!confirmNavigation()) {
+    return Promise.resolve(false);
+  }
+  const redirect = checkRouteGuards(getRoutePath(url));
+  confirmed_path = getRoutePath(redirect ?? url);
+  const change =
+    redirect === null ? Router.push(url) : Router.replace(redirect);
+  // A guard may still cancel the route change once started.
+  return change.catch((err) => {
+    if (err !== ROUTE_CHANGE_CANCELLED) {
+      throw err;
+    }
+    return false;
+  });
+};
+
+/**
+ * React hook asking to confirm leaving the page, through the router or by
+ * unloading it, while `when` is true.
+ *
+ * @param when Whether leaving the page must be confirmed, e.g. while there are unsaved changes.
+ * @param message The message of the confirmation.
+ */
+export const useNavigationBlocker = (when, message) => {
+  useEffect(() => {
+    if (!when) {
+      return;
+    }
+    const blocker = { message };
+    const handleBeforeUnload = (e) => {
+      // Browsers show their own message.
+      e.preventDefault();
+      e.returnValue = message;
+      return message;
+    };
+    navigation_blockers.add(blocker);
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => {
+      navigation_blockers.delete(blocker);
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+    };
+  }, [when, message]);
+};
+
+/**
+ * React hook checking the route guards of the displayed page when it is
+ * loaded, so it is not displayed before they pass and is redirected otherwise.
+ *
+ * @returns True if the page can be displayed.
+ */
+export const useRouteGuard = () => {
+  const router = useRouter();
+  const main_state = useContext(StateContexts[state_name] ?? NoStateContext);
+  const hydrated = main_state?.is_hydrated ?? true;
+  // The first render matches the prerendered page, which is empty if guarded.
+  const [allowed, setAllowed] = useState(
+    () => route_guards.length === 0 && findRouteGuard(router.pathname) === null
+  );
+
+  useEffect(() => {
+    if (!router.isReady) {
+      return;
+    }
+    const path = getRoutePath(router.asPath, Router.basePath);
+    if (path === allowed_path) {
+      // Already checked before navigating.
+      setAllowed(true);
+      return;
+    }
+    if (routeGuardNeedsState(path) && !hydrated) {
+      setAllowed(false);
+      return;
+    }
+    const redirect = checkRouteGuards(path);
+    setAllowed(redirect === null);
+    if (redirect === null) {
+      allowed_path = path;
+    } else {
+      Router.replace(redirect);
+    }
+  }, [router.isReady, router.asPath, hydrated]);
+
+  return allowed;
+};
+
+// The route transition in progress, see useRouteTransition.
+let route_transition = { pending: null, progress: 1 };
+
+// Callbacks notified when the route transition changes.
+const route_transition_listeners = new Set();
+
+// The progress of a route transition once its page is loaded, while its
+// on_load events run.
+const ROUTE_LOADED_PROGRESS = 0.5;
+
+// The path of the displayed page.
+let displayed_path = null;
+
+// Maximum number of cached routes, the least recently displayed are dropped.
+const MAX_CACHED_ROUTES = 20;
+
+// The last values of the vars updated on the pages of the cached routes, by
+// path, least recently displayed first.
+const route_delta_cache = new Map();
+
+// The names of the vars updated by the backend on the displayed page by
+// substate, if its route is cached.
+let route_delta_keys = null;
+
+// The vars of the main state describing the displayed page, never cached.
+const UNCACHED_KEYS = ["is_hydrated", "router"];
+
+// The scroll positions of the pages, by key of their history entry.
+const scroll_positions = new Map();
+
+// The scroll position to restore when going back or forward.
+let pending_scroll = null;
+
+/**
+ * Update the route transition and notify the listeners.
+ * @param transition The route transition.
+ */
+const setRouteTransition = (transition) => {
+  route_transition = transition;
+  route_transition_listeners.forEach((listener) => listener(route_transition));
+};
+
+/**
+ * React hook exposing the route transition in progress.
+ *
+ * @returns {object} The `pending` path, or null once the page is hydrated, and
+ *   the `progress` of the transition, from 0 when it starts to 1 when it is done.
+ */
+export const useRouteTransition = () => {
+  const [transition, setTransition] = useState(route_transition);
+  useEffect(() => {
+    route_transition_listeners.add(setTransition);
+    setTransition(route_transition);
+    return () => route_transition_listeners.delete(setTransition);
+  }, []);
+  return transition;
+};
+
+/**
+ * Save the scroll position of the displayed page, to restore it when coming
+ * back to it.
+ */
+const saveScrollPosition = () => {
+  const key = page_history_state?.key;
+  if (key !== undefined) {
+    scroll_positions.set(key, [window.scrollX, window.scrollY]);
+  }
+};
+
+/**
+ * Restore the scroll position of the page displayed by going back or forward.
+ *
+ * The page may not be tall enough before its on_load events update it, so it
+ * is tried again once hydrated.
+ */
+const restoreScrollPosition = () => {
+  if (pending_scroll === null) {
+    return;
+  }
+  const [x, y] = pending_scroll;
+  window.scrollTo(x, y);
+  if (Math.abs(window.scrollY - y) < 1 || route_transition.pending === null) {
+    clearPendingScroll();
+  }
+};
+
+/**
+ * Stop restoring a scroll position, leaving it to the browser again.
+ */
+const clearPendingScroll = () => {
+  pending_scroll = null;
+  window.history.scrollRestoration = "auto";
+};
+
+/**
+ * Record the vars updated on the displayed page, if its route is cached.
+ * @param delta The delta of the update.
+ */
+const recordRouteDelta = (delta) => {
+  if (route_delta_keys === null) {
+    return;
+  }
+  for (const substate in delta) {
+    route_delta_keys[substate] ??= new Set();
+    getDeltaKeys(delta[substate]).forEach((key) =>
+      route_delta_keys[substate].add(key)
+    );
+  }
+};
+
+/**
+ * Cache the last values of the vars updated on the displayed page, if its
+ * route is cached: the values sent by the backend since it was displayed, or
+ * else the cached ones it was displayed with.
+ */
+const cacheRouteDelta = () => {
+  if (route_delta_keys === null) {
+    return;
+  }
+  const cached = route_delta_cache.get(displayed_path) ?? {};
+  const delta = {};
+  for (const substate of new Set([
+    ...Object.keys(cached),
+    ...Object.keys(route_delta_keys),
+  ])) {
+    const server = getServerState(substate);
+    const updated = [...(route_delta_keys[substate] ?? [])].filter(
+      (key) =>
+        key in server &&
+        !(substate === state_name && UNCACHED_KEYS.includes(key))
+    );
+    delta[substate] = {
+      ...cached[substate],
+      ...Object.fromEntries(updated.map((key) => [key, server[key]])),
+    };
+  }
+  route_delta_cache.delete(displayed_path);
+  route_delta_cache.set(displayed_path, delta);
+  if (route_delta_cache.size > MAX_CACHED_ROUTES) {
+    route_delta_cache.delete(route_delta_cache.keys().next().value);
+  }
+  route_delta_keys = null;
+};
+
+/**
+ * Display the last values cached for a page, if its route is cached, while
+ * its on_load events refresh them.
+ *
+ * They are only displayed: the state sent by the backend is left as is.
+ * @param path The path of the page.
+ */
+const restoreRouteDelta = (path) => {
+  displayed_path = path;
+  if (findRoute(cachedRoutes, path) === null) {
+    route_delta_keys = null;
+    return;
+  }
+  route_delta_keys = {};
+  const delta = route_delta_cache.get(path) ?? {};
+  for (const substate in delta) {
+    state_dispatch?.[substate]?.(delta[substate]);
+  }
+};
+
+/**
+ * Finish the route transition in progress, once the page is hydrated.
+ */
+const finishRouteTransition = () => {
+  if (route_transition.pending === null) {
+    return;
+  }
+  setRouteTransition({ pending: null, progress: 1 });
+  // Wait for the hydrated page to render.
+  setTimeout(restoreScrollPosition);
+};
+
 /**
  * Establish websocket event loop for a NextJS page.
  * @param dispatch The reducer dispatch function to update state.
@@ -555,6 +2579,7 @@ export const useEventLoop = (
 ) => {
   const socket = useRef(null);
   const router = useRouter();
+  state_dispatch = dispatch;
   const [connectErrors, setConnectErrors] = useState([]);
 
   // Function to add new events to the event queue.
@@ -565,24 +2590,34 @@ export const useEventLoop = (
     if (event_actions?.stopPropagation && _e?.stopPropagation) {
       _e.stopPropagation();
     }
-    queueEvents(events, socket);
+    scheduleEvents(events, socket, event_actions);
   };
 
   const sentHydrate = useRef(false); // Avoid double-hydrate due to React strict-mode
   useEffect(() => {
     if (router.isReady && !sentHydrate.current) {
-      const events = initial_events();
-      addEvents(
-        events.map((e) => ({
-          ...e,
-          router_data: (({ pathname, query, asPath }) => ({
-            pathname,
-            query,
-            asPath,
-          }))(router),
-        }))
-      );
       sentHydrate.current = true;
+      const sendInitialEvents = () => {
+        const events = initial_events();
+        addEvents([
+          ...events.map((e) => ({
+            ...e,
+            router_data: (({ pathname, query, asPath }) => ({
+              pathname,
+              query,
+              asPath,
+            }))(router),
+          })),
+          // Replay events left unsent by a previous page load.
+          ...restoreEventQueue(),
+        ]);
+      };
+      if (Object.keys(client_storage.indexed_db ?? {}).length > 0) {
+        // The IndexedDB vars are sent with the initial events, so read them first.
+        loadIndexedDB(client_storage).then(sendInitialEvents);
+      } else {
+        sendInitialEvents();
+      }
     }
   }, [router.isReady]);
 
@@ -606,7 +2641,7 @@ export const useEventLoop = (
       }
       (async () => {
         // Process all outstanding events.
-        while (event_queue.length > 0 && !event_processing) {
+        while (socket.current?.connected && nextEventIndex() !== -1) {
           await processEvent(socket.current);
         }
       })();
@@ -644,15 +2679,155 @@ export const useEventLoop = (
     return () => window.removeEventListener("storage", handleStorage);
   });
 
+  // synced cookie change handling
+  useEffect(() => {
+    const cookie_to_state_map = {};
+
+    if (client_storage.cookies) {
+      for (const state_key in client_storage.cookies) {
+        const options = client_storage.cookies[state_key];
+        if (options.sync) {
+          const cookie_name = options.name || state_key;
+          cookie_to_state_map[cookie_name] = state_key;
+          if (!(cookie_name in synced_cookie_values)) {
+            synced_cookie_values[cookie_name] = cookies.get(cookie_name);
+          }
+        }
+      }
+    }
+    if (Object.keys(cookie_to_state_map).length === 0) {
+      return;
+    }
+
+    // Cookies do not raise storage events: check them when another tab
+    // notifies a change, when the browser reports one through cookieStore
+    // and when this tab becomes visible again.
+    const handleCookieChange = (e) => {
+      const vars = getChangedCookies(cookie_to_state_map);
+      if (Object.keys(vars).length > 0) {
+        const event = Event(
+          `${state_name}.update_vars_internal_state.update_vars_internal`,
+          { vars: vars }
+        );
+        addEvents([event], e);
+      }
+    };
+    const handleVisibilityChange = (e) => {
+      if (document.visibilityState === "visible") {
+        handleCookieChange(e);
+      }
+    };
+
+    const channel = getCookieChannel();
+    channel?.addEventListener("message", handleCookieChange);
+    window.cookieStore?.addEventListener("change", handleCookieChange);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      channel?.removeEventListener("message", handleCookieChange);
+      window.cookieStore?.removeEventListener("change", handleCookieChange);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  });
+
   // Route after the initial page hydration.
   useEffect(() => {
-    const change_start = () => dispatch["state"]({is_hydrated: false})
-    const change_complete = () => addEvents(onLoadInternalEvent());
+    const change_start = (url) => {
+      const path = getRoutePath(url, Router.basePath);
+      if (path !== confirmed_path && !confirmNavigation()) {
+        cancelRouteChange(url);
+      }
+      const redirect = checkRouteGuards(path);
+      if (redirect !== null) {
+        // Redirect once the cancelled route change is done.
+        confirmed_path = redirect;
+        setTimeout(() => Router.replace(redirect));
+        cancelRouteChange(url);
+      }
+      confirmed_path = null;
+      allowed_path = path;
+      saveScrollPosition();
+      cacheRouteDelta();
+      setRouteTransition({ pending: path, progress: 0 });
+      dispatch["state"]({ is_hydrated: false });
+    };
+    // The page is loaded and about to be displayed.
+    const before_history_change = (url) => {
+      const path = getRoutePath(url, Router.basePath);
+      setRouteTransition({ pending: path, progress: ROUTE_LOADED_PROGRESS });
+      restoreRouteDelta(path);
+    };
+    const change_complete = () => {
+      page_history_state = window.history.state;
+      restoreScrollPosition();
+      if (state_name === undefined) {
+        finishRouteTransition();
+      }
+      addEvents(onLoadInternalEvent());
+    };
+    // Newer route changes cancel the previous ones.
+    const change_error = (err, url) => {
+      if (route_transition.pending === getRoutePath(url, Router.basePath)) {
+        clearPendingScroll();
+        setRouteTransition({ pending: null, progress: 1 });
+      }
+    };
+    // The back and forward buttons already changed the url when the route
+    // change starts, so they are checked before.
+    const before_pop_state = ({ as, key }) => {
+      const path = getRoutePath(as, Router.basePath);
+      if (!confirmNavigation()) {
+        // Restore the url of the displayed page, which includes the base path.
+        window.history.pushState(
+          page_history_state,
+          "",
+          page_history_state?.as ?? router.asPath
+        );
+        return false;
+      }
+      const redirect = checkRouteGuards(path);
+      if (redirect !== null) {
+        confirmed_path = redirect;
+        Router.replace(redirect);
+        return false;
+      }
+      confirmed_path = path;
+      pending_scroll = scroll_positions.get(key) ?? null;
+      if (pending_scroll !== null) {
+        // The saved position is restored once the page is updated, see
+        // restoreScrollPosition.
+        window.history.scrollRestoration = "manual";
+      }
+      return true;
+    };
+    // Links do not catch the route changes cancelled from routeChangeStart.
+    const ignore_cancelled_route_change = (e) => {
+      if (e.reason === ROUTE_CHANGE_CANCELLED) {
+        e.preventDefault();
+      }
+    };
+    page_history_state = window.history.state;
+    if (displayed_path === null) {
+      restoreRouteDelta(getRoutePath(router.asPath, Router.basePath));
+    }
     router.events.on("routeChangeStart", change_start);
+    router.events.on("beforeHistoryChange", before_history_change);
     router.events.on("routeChangeComplete", change_complete);
+    router.events.on("routeChangeError", change_error);
+    router.beforePopState(before_pop_state);
+    window.addEventListener(
+      "unhandledrejection",
+      ignore_cancelled_route_change
+    );
     return () => {
       router.events.off("routeChangeStart", change_start);
+      router.events.off("beforeHistoryChange", before_history_change);
       router.events.off("routeChangeComplete", change_complete);
+      router.events.off("routeChangeError", change_error);
+      router.beforePopState(() => true);
+      window.removeEventListener(
+        "unhandledrejection",
+        ignore_cancelled_route_change
+      );
     };
   }, [router]);
 
@@ -25,6 +25,8 @@ _ALL_COMPONENTS = [
     "connection_banner",
     "connection_modal",
     "debounce_input",
+    "navigation_blocker",
+    "inspector",
     # Base
     "fragment",
     "Fragment",
@@ -133,7 +135,9 @@ _MAPPING = {
         "EventChain",
         "EventHandler",
         "background",
+        "call_function",
         "call_script",
+        "client_event",
         "clear_local_storage",
         "console_log",
         "download",
@@ -152,16 +156,29 @@ _MAPPING = {
     "reflex.middleware": ["middleware", "Middleware"],
     "reflex.model": ["model", "session", "Model"],
     "reflex.page": ["page"],
-    "reflex.route": ["route"],
+    "reflex.route": [
+        "route",
+        "RouteGuard",
+        "route_pending",
+        "route_progress",
+        "is_route_transitioning",
+    ],
     "reflex.state": [
         "state",
         "var",
         "Cookie",
         "LocalStorage",
+        "SessionStorage",
+        "IndexedDB",
         "ComponentState",
         "State",
     ],
-    "reflex.style": ["style", "toggle_color_mode"],
+    "reflex.style": [
+        "style",
+        "toggle_color_mode",
+        "set_color_mode",
+        "color_mode_theme",
+    ],
     "reflex.testing": ["testing"],
     "reflex.utils": ["utils"],
     "reflex.vars": ["vars", "cached_var", "Var"],
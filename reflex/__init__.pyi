@@ -16,6 +16,8 @@ from reflex.components import color_mode_cond as color_mode_cond
 from reflex.components import connection_banner as connection_banner
 from reflex.components import connection_modal as connection_modal
 from reflex.components import debounce_input as debounce_input
+from reflex.components import navigation_blocker as navigation_blocker
+from reflex.components import inspector as inspector
 from reflex.components import fragment as fragment
 from reflex.components import Fragment as Fragment
 from reflex.components import image as image
@@ -115,7 +117,9 @@ from reflex import event as event
 from reflex.event import EventChain as EventChain
 from reflex.event import EventHandler as EventHandler
 from reflex.event import background as background
+from reflex.event import call_function as call_function
 from reflex.event import call_script as call_script
+from reflex.event import client_event as client_event
 from reflex.event import clear_local_storage as clear_local_storage
 from reflex.event import console_log as console_log
 from reflex.event import download as download
@@ -137,14 +141,22 @@ from reflex.model import session as session
 from reflex.model import Model as Model
 from reflex.page import page as page
 from reflex import route as route
+from reflex.route import RouteGuard as RouteGuard
+from reflex.route import route_pending as route_pending
+from reflex.route import route_progress as route_progress
+from reflex.route import is_route_transitioning as is_route_transitioning
 from reflex import state as state
 from reflex.state import var as var
 from reflex.state import Cookie as Cookie
 from reflex.state import LocalStorage as LocalStorage
+from reflex.state import SessionStorage as SessionStorage
+from reflex.state import IndexedDB as IndexedDB
 from reflex.state import ComponentState as ComponentState
 from reflex.state import State as State
 from reflex import style as style
 from reflex.style import toggle_color_mode as toggle_color_mode
+from reflex.style import set_color_mode as set_color_mode
+from reflex.style import color_mode_theme as color_mode_theme
 from reflex import testing as testing
 from reflex import utils as utils
 from reflex import vars as vars
@@ -7,13 +7,22 @@ import concurrent.futures
 import contextlib
 import copy
 import functools
+import gzip
+import hashlib
 import io
+import json
 import multiprocessing
 import os
 import platform
+import shutil
+import tempfile
+import time
+from pathlib import Path
+from urllib.parse import parse_qs
 from typing import (
     Any,
     AsyncIterator,
+    BinaryIO,
     Callable,
     Coroutine,
     Dict,
@@ -22,13 +31,14 @@ from typing import (
     Set,
     Type,
     Union,
+    cast,
     get_args,
     get_type_hints,
 )
 
 from fastapi import FastAPI, HTTPException, Request, UploadFile
 from fastapi.middleware import cors
-from fastapi.responses import StreamingResponse
+from fastapi.responses import Response, StreamingResponse
 from fastapi.staticfiles import StaticFiles
 from rich.progress import MofNCompleteColumn, Progress, TimeElapsedColumn
 from socketio import ASGIApp, AsyncNamespace, AsyncServer
@@ -63,9 +73,11 @@ from reflex.page import (
     DECORATED_PAGES,
 )
 from reflex.route import (
+    RouteGuard,
     catchall_in_route,
     catchall_prefix,
     get_route_args,
+    get_route_path,
     verify_route_validity,
 )
 from reflex.state import (
@@ -134,6 +146,18 @@ class App(Base):
     # List of event handlers to trigger when a page loads.
     load_events: Dict[str, List[Union[EventHandler, EventSpec]]] = {}
 
+    # The guards checked on the client before displaying a page.
+    route_guards: Dict[str, RouteGuard] = {}
+
+    # The routes whose last state is displayed when returning to them.
+    cached_routes: Set[str] = set()
+
+    # The event handler called with each error raised on the client, as `error`.
+    client_error_handler: Optional[EventHandler] = None
+
+    # The number of recent client errors kept on the client.
+    max_client_errors: int = 10
+
     # Admin dashboard
     admin_dash: Optional[AdminDash] = None
 
@@ -420,6 +444,8 @@ class App(Base):
         ) = None,
         meta: list[dict[str, str]] = constants.DefaultPage.META_LIST,
         script_tags: list[Component] | None = None,
+        guard: RouteGuard | None = None,
+        cache_state: bool = False,
     ):
         """Add a page to the app.
 
@@ -435,6 +461,8 @@ class App(Base):
             on_load: The event handler(s) that will be called each time the page load.
             meta: The metadata of the page.
             script_tags: List of script tags to be added to component
+            guard: The guard checked on the client before displaying the page.
+            cache_state: Whether to display the last state of the page when returning to it, while on_load refreshes it.
         """
         # If the route is not set, get it from the callable.
         if route is None:
@@ -459,7 +487,11 @@ class App(Base):
 
         # Ensure state is enabled if this page uses state.
         if self.state is None:
-            if on_load or component._has_event_triggers():
+            if (
+                on_load
+                or component._has_event_triggers()
+                or (guard is not None and guard.var is not None)
+            ):
                 self.enable_state()
             else:
                 for var in component._get_vars(include_children=True):
@@ -511,6 +543,58 @@ class App(Base):
                 on_load = [on_load]
             self.load_events[route] = on_load
 
+        # Add the route guard.
+        if guard is not None:
+            self.route_guards[route] = guard
+
+        # Cache the last state of the page.
+        if cache_state:
+            self.cached_routes.add(route)
+
+    def _compile_route_guards(self) -> dict[str, dict[str, Any]]:
+        """Compile the route guards for the frontend.
+
+        Returns:
+            The compiled guards, by the path of their route.
+        """
+        return {
+            get_route_path(route): guard.compile()
+            for route, guard in self.route_guards.items()
+        }
+
+    def _get_dynamic_routes(self) -> list[str]:
+        """Get the dynamic routes, to render them in static exports.
+
+        Returns:
+            The paths of the routes with dynamic args.
+        """
+        return sorted(
+            get_route_path(route) for route in self.pages if get_route_args(route)
+        )
+
+    def _get_cached_routes(self) -> list[str]:
+        """Get the routes whose last state is displayed when returning to them.
+
+        Returns:
+            The paths of the cached routes.
+        """
+        return sorted(get_route_path(route) for route in self.cached_routes)
+
+    def _compile_error_reporting(self) -> dict[str, Any]:
+        """Compile the options of the client error reporting.
+
+        Returns:
+            The options, see configureErrorReporting in state.js.
+        """
+        return {
+            "handler": (
+                format.format_event_handler(self.client_error_handler)
+                if self.client_error_handler is not None
+                else None
+            ),
+            "maxErrors": self.max_client_errors,
+        }
+
     def get_load_events(self, route: str) -> list[EventHandler | EventSpec]:
         """Get the load events for a route.
 
@@ -838,7 +922,14 @@ class App(Base):
 
         # Compile the contexts before fork.
         compile_results.append(
-            compiler.compile_contexts(self.state, self.theme),
+            compiler.compile_contexts(
+                self.state,
+                self.theme,
+                self._compile_route_guards(),
+                self._get_dynamic_routes(),
+                self._get_cached_routes(),
+                self._compile_error_reporting(),
+            ),
         )
 
         app_root = self._app_root(app_wrappers=app_wrappers)
@@ -1053,6 +1144,16 @@ async def process(
             state.router_data = router_data
             state.router = RouterData(router_data)
 
+        # Skip the events already processed, replayed by the frontend, only
+        # releasing their lane.
+        if (
+            event.client_id is not None
+            and isinstance(state, State)
+            and not state._mark_event_processed(event.client_id)
+        ):
+            yield StateUpdate(final=True)
+            return
+
         # Preprocess the event.
         update = await app.preprocess(state, event)
 
@@ -1085,6 +1186,132 @@ async def ping() -> str:
     return "pong"
 
 
+# The seconds after which the chunks of an unfinished upload are removed.
+UPLOAD_CHUNKS_EXPIRY = 60 * 60
+
+# The size above which an assembled uploaded file is written to disk.
+UPLOAD_SPOOL_MAX_SIZE = 1024 * 1024
+
+
+def _get_upload_chunks_root() -> Path:
+    """Get the directory holding the chunks of the unfinished uploads.
+
+    Returns:
+        The directory, in the temporary directory of the system.
+    """
+    return Path(tempfile.gettempdir()) / "reflex_upload_chunks"
+
+
+def _remove_stale_upload_chunks():
+    """Remove the chunks of the uploads abandoned for longer than the expiry."""
+    root = _get_upload_chunks_root()
+    if not root.is_dir():
+        return
+    expired = time.time() - UPLOAD_CHUNKS_EXPIRY
+    for chunks_dir in root.iterdir():
+        try:
+            if chunks_dir.stat().st_mtime < expired:
+                shutil.rmtree(chunks_dir, ignore_errors=True)
+        except FileNotFoundError:
+            # Removed by a concurrent request.
+            pass
+
+
+def _get_upload_chunks_dir(token: str, upload_id: str) -> Path:
+    """Get the directory where the chunks of an upload are assembled.
+
+    Args:
+        token: The client token.
+        upload_id: The upload id sent by the client.
+
+    Returns:
+        The directory, named after a hash of the token and the upload id.
+    """
+    key = hashlib.sha256(f"{token}:{upload_id}".encode()).hexdigest()
+    return _get_upload_chunks_root() / key
+
+
+async def _save_upload_chunk(
+    chunks_dir: Path, file_index: int, offset: int, file_size: int, file: UploadFile
+):
+    """Write a chunk of an uploaded file at its offset.
+
+    A marker file records the range of each chunk, so a chunk sent again after a
+    failed attempt only overwrites the same bytes. The chunks of the uploads
+    abandoned for longer than UPLOAD_CHUNKS_EXPIRY are removed.
+
+    Args:
+        chunks_dir: The directory of the upload chunks.
+        file_index: The index of the file among the uploaded files.
+        offset: The offset of the chunk in the file.
+        file_size: The size of the whole file.
+        file: The chunk.
+    """
+    _remove_stale_upload_chunks()
+    chunks_dir.mkdir(parents=True, exist_ok=True)
+    # Keep the upload from expiring while its chunks are sent.
+    os.utime(chunks_dir)
+    data = await file.read()
+    part = chunks_dir / f"{file_index}.part"
+    part.touch(exist_ok=True)
+    with part.open("r+b") as f:
+        f.seek(offset)
+        f.write(data)
+    (chunks_dir / f"{file_index}.chunk.{offset}.{offset + len(data)}").touch()
+    (chunks_dir / f"{file_index}.json").write_text(
+        json.dumps({"filename": file.filename, "size": file_size})
+    )
+
+
+def _assemble_upload_chunks(chunks_dir: Path) -> List[UploadFile]:
+    """Assemble the chunks of an upload into the uploaded files.
+
+    The files are streamed into temporary files, only kept in memory while small.
+
+    Args:
+        chunks_dir: The directory of the upload chunks.
+
+    Returns:
+        The uploaded files, in the order they were sent.
+
+    Raises:
+        HTTPException: when a chunk of a file is missing.
+    """
+    files = []
+    file_index = 0
+    while (chunks_dir / f"{file_index}.json").exists():
+        meta = json.loads((chunks_dir / f"{file_index}.json").read_text())
+        ranges = sorted(
+            tuple(int(n) for n in marker.name.split(".")[2:])
+            for marker in chunks_dir.glob(f"{file_index}.chunk.*")
+        )
+        received = 0
+        for start, end in ranges:
+            if start > received:
+                break
+            received = max(received, end)
+        if received < meta["size"]:
+            raise HTTPException(
+                status_code=400,
+                detail=f"Missing chunks of the uploaded file {meta['filename']}.",
+            )
+        content = tempfile.SpooledTemporaryFile(max_size=UPLOAD_SPOOL_MAX_SIZE)
+        with (chunks_dir / f"{file_index}.part").open("rb") as part:
+            shutil.copyfileobj(part, content)
+        content.seek(0)
+        files.append(
+            UploadFile(
+                # The spooled file is opened in binary mode.
+                file=cast(BinaryIO, content),
+                filename=meta["filename"],
+                size=meta["size"],
+            )
+        )
+        file_index += 1
+    shutil.rmtree(chunks_dir, ignore_errors=True)
+    return files
+
+
 def upload(app: App):
     """Upload a file.
 
@@ -1104,12 +1331,14 @@ def upload(app: App):
 
         Returns:
             StreamingResponse yielding newline-delimited JSON of StateUpdate
-            emitted by the upload handler.
+            emitted by the upload handler, or an empty response for a chunk
+            of a chunked upload that is not the last one.
 
         Raises:
             ValueError: if there are no args with supported annotation.
             TypeError: if a background task is used as the handler.
-            HTTPException: when the request does not include token / handler headers.
+            HTTPException: when the request does not include token / handler headers,
+                or the chunk headers of a chunked upload are invalid.
         """
         token = request.headers.get("reflex-client-token")
         handler = request.headers.get("reflex-event-handler")
@@ -1156,24 +1385,44 @@ def upload(app: App):
                 "List[rx.UploadFile]"
             )
 
-        # Make a copy of the files as they are closed after the request.
-        # This behaviour changed from fastapi 0.103.0 to 0.103.1 as the
-        # AsyncExitStack was removed from the request scope and is now
-        # part of the routing function which closes this before the
-        # event is handled.
-        file_copies = []
-        for file in files:
-            content_copy = io.BytesIO()
-            content_copy.write(await file.read())
-            content_copy.seek(0)
-            file_copies.append(
-                UploadFile(
-                    file=content_copy,
-                    filename=file.filename,
-                    size=file.size,
-                    headers=file.headers,
+        upload_id = request.headers.get("reflex-upload-id")
+        if upload_id is not None:
+            # A chunk of a chunked upload, the handler gets the files with the last one.
+            try:
+                file_index, offset, file_size = (
+                    int(request.headers.get(f"reflex-upload-{name}", ""))
+                    for name in ("file-index", "offset", "file-size")
                 )
+            except ValueError as e:
+                raise HTTPException(
+                    status_code=400, detail="Invalid reflex-upload chunk headers."
+                ) from e
+            chunks_dir = _get_upload_chunks_dir(token, upload_id)
+            await _save_upload_chunk(
+                chunks_dir, file_index, offset, file_size, files[0]
             )
+            if request.headers.get("reflex-upload-complete") != "true":
+                return Response(status_code=204)
+            file_copies = _assemble_upload_chunks(chunks_dir)
+        else:
+            # Make a copy of the files as they are closed after the request.
+            # This behaviour changed from fastapi 0.103.0 to 0.103.1 as the
+            # AsyncExitStack was removed from the request scope and is now
+            # part of the routing function which closes this before the
+            # event is handled.
+            file_copies = []
+            for file in files:
+                content_copy = io.BytesIO()
+                content_copy.write(await file.read())
+                content_copy.seek(0)
+                file_copies.append(
+                    UploadFile(
+                        file=content_copy,
+                        filename=file.filename,
+                        size=file.size,
+                        headers=file.headers,
+                    )
+                )
 
         event = Event(
             token=token,
@@ -1203,12 +1452,19 @@ def upload(app: App):
     return upload_file
 
 
+# The wire encodings of the websocket messages supported by the backend.
+WIRE_ENCODINGS = ("gzip", "json5")
+
+
 class EventNamespace(AsyncNamespace):
     """The event namespace."""
 
     # The application object.
     app: App
 
+    # The wire encoding of each client, by Socket.IO session id.
+    encodings: Dict[str, str]
+
     def __init__(self, namespace: str, app: App):
         """Initialize the event namespace.
 
@@ -1218,15 +1474,24 @@ class EventNamespace(AsyncNamespace):
         """
         super().__init__(namespace)
         self.app = app
+        self.encodings = {}
 
-    def on_connect(self, sid, environ):
+    async def on_connect(self, sid, environ):
         """Event for when the websocket is connected.
 
+        The client offers the wire encodings it supports in the `encodings` query
+        param, in order of preference: the first one the backend supports is
+        announced to the client and used for the messages of the session.
+
         Args:
             sid: The Socket.IO session id.
             environ: The request information, including HTTP headers.
         """
-        pass
+        query = parse_qs(environ.get("QUERY_STRING", ""))
+        offered = ",".join(query.get("encodings", [])).split(",")
+        encoding = next((e for e in offered if e in WIRE_ENCODINGS), "json5")
+        self.encodings[sid] = encoding
+        await self.emit(str(constants.SocketEvent.ENCODING), encoding, to=sid)
 
     def on_disconnect(self, sid):
         """Event for when the websocket disconnects.
@@ -1234,7 +1499,7 @@ class EventNamespace(AsyncNamespace):
         Args:
             sid: The Socket.IO session id.
         """
-        pass
+        self.encodings.pop(sid, None)
 
     async def emit_update(self, update: StateUpdate, sid: str) -> None:
         """Emit an update to the client.
@@ -1243,9 +1508,12 @@ class EventNamespace(AsyncNamespace):
             update: The state update to send.
             sid: The Socket.IO session id.
         """
+        message = update.json()
+        if self.encodings.get(sid) == "gzip":
+            message = gzip.compress(message.encode("utf-8"))
         # Creating a task prevents the update from being blocked behind other coroutines.
         await asyncio.create_task(
-            self.emit(str(constants.SocketEvent.EVENT), update.json(), to=sid)
+            self.emit(str(constants.SocketEvent.EVENT), message, to=sid)
         )
 
     async def on_event(self, sid, data):
@@ -1253,8 +1521,12 @@ class EventNamespace(AsyncNamespace):
 
         Args:
             sid: The Socket.IO session id.
-            data: The event data.
+            data: The event data, encoded with the wire encoding of the client.
         """
+        # Binary messages are gzip compressed JSON.
+        if isinstance(data, bytes):
+            data = gzip.decompress(data).decode("utf-8")
+
         # Get the event.
         event = Event.parse_raw(data)
 
@@ -1277,6 +1549,10 @@ class EventNamespace(AsyncNamespace):
 
         # Process the events.
         async for update in process(self.app, event, sid, headers, client_ip):
+            # Echo the lane, so the frontend knows which lane to release, and the
+            # event id, so the frontend ignores late updates for the lane.
+            update.set(lane=event.lane, client_id=event.client_id)
+
             # Emit the update from processing the event.
             await self.emit_update(update=update, sid=sid)
 
@@ -1,6 +1,7 @@
 """ Generated with stubgen from mypy, then manually edited, do not regen."""
 
 import asyncio
+from pathlib import Path
 from fastapi import FastAPI
 from fastapi import UploadFile as UploadFile
 from reflex import constants as constants
@@ -26,9 +27,11 @@ from reflex.middleware import (
 from reflex.model import Model as Model
 from reflex.page import DECORATED_PAGES as DECORATED_PAGES
 from reflex.route import (
+    RouteGuard as RouteGuard,
     catchall_in_route as catchall_in_route,
     catchall_prefix as catchall_prefix,
     get_route_args as get_route_args,
+    get_route_path as get_route_path,
     verify_route_validity as verify_route_validity,
 )
 from reflex.state import (
@@ -80,8 +83,12 @@ class App(Base):
     style: ComponentStyle
     middleware: List[Middleware]
     load_events: Dict[str, List[Union[EventHandler, EventSpec]]]
+    route_guards: Dict[str, RouteGuard]
+    cached_routes: Set[str]
+    client_error_handler: Optional[EventHandler]
+    max_client_errors: int
     admin_dash: Optional[AdminDash]
-    event_namespace: Optional[AsyncNamespace]
+    event_namespace: Optional[EventNamespace]
     overlay_component: Optional[Union[Component, ComponentCallable]]
     background_tasks: Set[asyncio.Task] = set()
     def __init__(
@@ -111,6 +118,8 @@ class App(Base):
         on_load: EventHandler | EventSpec | list[EventHandler | EventSpec] | None = ...,
         meta: list[dict[str, str]] = ...,
         script_tags: list[Component] | None = ...,
+        guard: RouteGuard | None = ...,
+        cache_state: bool = ...,
     ): ...
     def get_load_events(self, route: str) -> list[EventHandler | EventSpec]: ...
     def add_custom_404_page(
@@ -123,6 +132,10 @@ class App(Base):
         meta: list[dict[str, str]] = ...,
     ): ...
     def setup_admin_dash(self) -> None: ...
+    def _compile_route_guards(self) -> dict[str, dict[str, Any]]: ...
+    def _get_dynamic_routes(self) -> list[str]: ...
+    def _get_cached_routes(self) -> list[str]: ...
+    def _compile_error_reporting(self) -> dict[str, Any]: ...
     def get_frontend_packages(self, imports: Dict[str, str]): ...
     def compile(self) -> None: ...
     def compile_(self) -> None: ...
@@ -136,12 +149,25 @@ def process(
     app: App, event: Event, sid: str, headers: Dict, client_ip: str
 ) -> AsyncIterator[StateUpdate]: ...
 async def ping() -> str: ...
+
+UPLOAD_CHUNKS_EXPIRY: int
+UPLOAD_SPOOL_MAX_SIZE: int
+
+def _get_upload_chunks_root() -> Path: ...
+def _remove_stale_upload_chunks() -> None: ...
+def _get_upload_chunks_dir(token: str, upload_id: str) -> Path: ...
+async def _save_upload_chunk(
+    chunks_dir: Path, file_index: int, offset: int, file_size: int, file: UploadFile
+) -> None: ...
+def _assemble_upload_chunks(chunks_dir: Path) -> List[UploadFile]: ...
 def upload(app: App): ...
 
 class EventNamespace(AsyncNamespace):
     app: App
+    encodings: Dict[str, str]
     def __init__(self, namespace: str, app: App) -> None: ...
-    def on_connect(self, sid, environ) -> None: ...
+    async def on_connect(self, sid, environ) -> None: ...
     def on_disconnect(self, sid) -> None: ...
+    async def emit_update(self, update: StateUpdate, sid: str) -> None: ...
     async def on_event(self, sid, data) -> None: ...
     async def on_ping(self, sid) -> None: ...
@@ -4,7 +4,7 @@ from __future__ import annotations
 
 import os
 from pathlib import Path
-from typing import Dict, Iterable, Optional, Type, Union
+from typing import Any, Dict, Iterable, List, Optional, Type, Union
 
 from reflex import constants
 from reflex.compiler import templates, utils
@@ -17,7 +17,7 @@ from reflex.components.component import (
 )
 from reflex.config import get_config
 from reflex.state import BaseState
-from reflex.style import LIGHT_COLOR_MODE
+from reflex.style import LIGHT_COLOR_MODE, SYSTEM_COLOR_MODE
 from reflex.utils.exec import is_prod_mode
 from reflex.utils.imports import ImportVar
 from reflex.vars import Var
@@ -67,12 +67,23 @@ def _compile_theme(theme: dict) -> str:
     return templates.THEME.render(theme=theme)
 
 
-def _compile_contexts(state: Optional[Type[BaseState]], theme: Component | None) -> str:
+def _compile_contexts(
+    state: Optional[Type[BaseState]],
+    theme: Component | None,
+    route_guards: Optional[Dict[str, Dict[str, Any]]] = None,
+    dynamic_routes: Optional[List[str]] = None,
+    cached_routes: Optional[List[str]] = None,
+    error_reporting: Optional[Dict[str, Any]] = None,
+) -> str:
     """Compile the initial state and contexts.
 
     Args:
         state: The app state.
         theme: The top-level app theme.
+        route_guards: The compiled route guards, by route.
+        dynamic_routes: The dynamic routes of the app, matched by the 404 fallback of static exports.
+        cached_routes: The routes whose last state is displayed when returning to them.
+        error_reporting: The options of the client error reporting.
 
     Returns:
         The compiled context file.
@@ -80,18 +91,39 @@ def _compile_contexts(state: Optional[Type[BaseState]], theme: Component | None)
     appearance = getattr(theme, "appearance", None)
     if appearance is None:
         appearance = LIGHT_COLOR_MODE
+    elif str(appearance) == "inherit":
+        appearance = SYSTEM_COLOR_MODE
+    color_mode_themes = getattr(theme, "themes", None) or {}
+    route_guards = route_guards or {}
+    dynamic_routes = dynamic_routes or []
+    cached_routes = cached_routes or []
+    error_reporting = error_reporting or {}
     return (
         templates.CONTEXT.render(
             initial_state=utils.compile_state(state),
             state_name=state.get_name(),
             client_storage=utils.compile_client_storage(state),
             is_dev_mode=not is_prod_mode(),
+            is_csp_safe=get_config().csp_safe,
+            share_across_tabs=get_config().share_across_tabs,
             default_color_mode=appearance,
+            color_mode_themes=color_mode_themes,
+            route_guards=route_guards,
+            dynamic_routes=dynamic_routes,
+            cached_routes=cached_routes,
+            error_reporting=error_reporting,
         )
         if state
         else templates.CONTEXT.render(
             is_dev_mode=not is_prod_mode(),
+            is_csp_safe=get_config().csp_safe,
+            share_across_tabs=get_config().share_across_tabs,
             default_color_mode=appearance,
+            color_mode_themes=color_mode_themes,
+            route_guards=route_guards,
+            dynamic_routes=dynamic_routes,
+            cached_routes=cached_routes,
+            error_reporting=error_reporting,
         )
     )
 
@@ -370,12 +402,20 @@ def compile_theme(style: ComponentStyle) -> tuple[str, str]:
 def compile_contexts(
     state: Optional[Type[BaseState]],
     theme: Component | None,
+    route_guards: Optional[Dict[str, Dict[str, Any]]] = None,
+    dynamic_routes: Optional[List[str]] = None,
+    cached_routes: Optional[List[str]] = None,
+    error_reporting: Optional[Dict[str, Any]] = None,
 ) -> tuple[str, str]:
     """Compile the initial state / context.
 
     Args:
         state: The app state.
         theme: The top-level app theme.
+        route_guards: The compiled route guards, by route.
+        dynamic_routes: The dynamic routes of the app, matched by the 404 fallback of static exports.
+        cached_routes: The routes whose last state is displayed when returning to them.
+        error_reporting: The options of the client error reporting.
 
     Returns:
         The path and code of the compiled context.
@@ -383,7 +423,9 @@ def compile_contexts(
     # Get the path for the output file.
     output_path = utils.get_context_path()
 
-    return output_path, _compile_contexts(state, theme)
+    return output_path, _compile_contexts(
+        state, theme, route_guards, dynamic_routes, cached_routes, error_reporting
+    )
 
 
 def compile_page(
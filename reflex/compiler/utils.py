@@ -31,7 +31,14 @@ from reflex.components.base import (
     Title,
 )
 from reflex.components.component import Component, ComponentStyle, CustomComponent
-from reflex.state import BaseState, Cookie, LocalStorage
+from reflex.state import (
+    BaseState,
+    ClientStorageBase,
+    Cookie,
+    IndexedDB,
+    LocalStorage,
+    SessionStorage,
+)
 from reflex.style import Style
 from reflex.utils import console, format, imports, path_ops
 from reflex.vars import Var
@@ -158,18 +165,27 @@ def compile_state(state: Type[BaseState]) -> dict:
     return format.format_state(initial_state)
 
 
+# The client-side storage types, by key in the compiled client storage.
+CLIENT_STORAGE_TYPES = {
+    constants.COOKIES: Cookie,
+    constants.LOCAL_STORAGE: LocalStorage,
+    constants.SESSION_STORAGE: SessionStorage,
+    constants.INDEXED_DB: IndexedDB,
+}
+
+
 def _compile_client_storage_field(
     field: ModelField,
-) -> tuple[Type[Cookie] | Type[LocalStorage] | None, dict[str, Any] | None]:
-    """Compile the given cookie or local_storage field.
+) -> tuple[Type[ClientStorageBase] | None, dict[str, Any] | None]:
+    """Compile the given client storage field.
 
     Args:
-        field: The possible cookie field to compile.
+        field: The possible client storage field to compile.
 
     Returns:
-        A dictionary of the compiled cookie or None if the field is not cookie-like.
+        The storage type and a dictionary of its compiled options, or None if the field is not client storage.
     """
-    for field_type in (Cookie, LocalStorage):
+    for field_type in CLIENT_STORAGE_TYPES.values():
         if isinstance(field.default, field_type):
             cs_obj = field.default
         elif isinstance(field.type_, type) and issubclass(field.type_, field_type):
@@ -182,21 +198,17 @@ def _compile_client_storage_field(
 
 def _compile_client_storage_recursive(
     state: Type[BaseState],
-) -> tuple[dict[str, dict], dict[str, dict[str, str]]]:
+) -> dict[str, dict[str, dict]]:
     """Compile the client-side storage for the given state recursively.
 
     Args:
         state: The app state object.
 
     Returns:
-        A tuple of the compiled client-side storage info:
-            (
-                cookies: dict[str, dict],
-                local_storage: dict[str, dict[str, str]]
-            )
+        The compiled options of the client storage vars, by state key, for each
+        storage type key of CLIENT_STORAGE_TYPES.
     """
-    cookies = {}
-    local_storage = {}
+    client_storage = {key: {} for key in CLIENT_STORAGE_TYPES}
     state_name = state.get_full_name()
     for name, field in state.__fields__.items():
         if name in state.inherited_vars:
@@ -204,19 +216,14 @@ def _compile_client_storage_recursive(
             continue
         state_key = f"{state_name}.{name}"
         field_type, options = _compile_client_storage_field(field)
-        if field_type is Cookie:
-            cookies[state_key] = options
-        elif field_type is LocalStorage:
-            local_storage[state_key] = options
-        else:
-            continue
+        for key, storage_type in CLIENT_STORAGE_TYPES.items():
+            if field_type is storage_type:
+                client_storage[key][state_key] = options
     for substate in state.get_substates():
-        substate_cookies, substate_local_storage = _compile_client_storage_recursive(
-            substate
-        )
-        cookies.update(substate_cookies)
-        local_storage.update(substate_local_storage)
-    return cookies, local_storage
+        substate_client_storage = _compile_client_storage_recursive(substate)
+        for key in CLIENT_STORAGE_TYPES:
+            client_storage[key].update(substate_client_storage[key])
+    return client_storage
 
 
 def compile_client_storage(state: Type[BaseState]) -> dict[str, dict]:
@@ -228,11 +235,7 @@ def compile_client_storage(state: Type[BaseState]) -> dict[str, dict]:
     Returns:
         A dictionary of the compiled client-side storage info.
     """
-    cookies, local_storage = _compile_client_storage_recursive(state)
-    return {
-        constants.COOKIES: cookies,
-        constants.LOCAL_STORAGE: local_storage,
-    }
+    return _compile_client_storage_recursive(state)
 
 
 def compile_custom_component(
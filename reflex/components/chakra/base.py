@@ -57,6 +57,9 @@ class ChakraProvider(ChakraComponent):
 
     theme: Var[str]
 
+    # Where chakra keeps the color mode, which follows the one persisted by next-themes.
+    color_mode_manager: Var[str]
+
     @classmethod
     def create(cls) -> Component:
         """Create a new ChakraProvider component.
@@ -66,6 +69,7 @@ class ChakraProvider(ChakraComponent):
         """
         return super().create(
             theme=Var.create("extendTheme(theme)", _var_is_local=False),
+            color_mode_manager=Var.create("colorModeManager", _var_is_local=False),
         )
 
     def _get_imports(self) -> imports.ImportDict:
@@ -76,6 +80,11 @@ class ChakraProvider(ChakraComponent):
         _imports.setdefault("/utils/theme.js", []).append(
             imports.ImportVar(tag="theme", is_default=True),
         )
+        _imports.setdefault(
+            "/components/reflex/chakra_color_mode_provider.js", []
+        ).append(
+            imports.ImportVar(tag="colorModeManager", is_default=False),
+        )
         return _imports
 
     @staticmethod
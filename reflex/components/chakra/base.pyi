@@ -99,6 +99,7 @@ class ChakraProvider(ChakraComponent):
         cls,
         *children,
         theme: Optional[Union[Var[str], str]] = None,
+        color_mode_manager: Optional[Union[Var[str], str]] = None,
         style: Optional[Style] = None,
         key: Optional[Any] = None,
         id: Optional[Any] = None,
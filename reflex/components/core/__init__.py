@@ -7,7 +7,9 @@ from .cond import Cond, color_mode_cond, cond
 from .debounce import DebounceInput
 from .foreach import Foreach
 from .html import Html
+from .inspector import Inspector
 from .match import Match
+from .navigation_blocker import NavigationBlocker
 from .responsive import (
     desktop_only,
     mobile_and_tablet,
@@ -30,5 +32,7 @@ connection_pulser = ConnectionPulser.create
 debounce_input = DebounceInput.create
 foreach = Foreach.create
 html = Html.create
+inspector = Inspector.create
 match = Match.create
+navigation_blocker = NavigationBlocker.create
 upload = Upload.create
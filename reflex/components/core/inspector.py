@@ -0,0 +1,19 @@
+"""Inspect the events and state updates of the app in dev mode.
+
+Works with /utils/inspector.js, which records the trace of the event loop of
+/utils/state.js.
+"""
+from __future__ import annotations
+
+from reflex.components.component import Component
+from reflex.vars import Var
+
+
+class Inspector(Component):
+    """A floating panel listing the events and updates, only rendered in dev mode."""
+
+    library = "/utils/inspector"
+    tag = "Inspector"
+
+    # The number of latest trace entries listed.
+    max_entries: Var[int]
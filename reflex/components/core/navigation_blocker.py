@@ -0,0 +1,57 @@
+"""Ask to confirm leaving a page, e.g. while it has unsaved changes.
+
+Works with /utils/state.js, confirming both the navigations of the router and
+the unloading of the page.
+"""
+from __future__ import annotations
+
+from reflex.components.component import Component
+from reflex.vars import Var
+
+DEFAULT_MESSAGE = "You have unsaved changes. Are you sure you want to leave?"
+
+
+class NavigationBlocker(Component):
+    """Ask to confirm leaving the page while a condition is true."""
+
+    library = "/utils/state"
+    tag = "useNavigationBlocker"
+
+    # Whether leaving the page must be confirmed.
+    when: Var[bool]
+
+    # The message of the confirmation, browsers show their own message when unloading.
+    message: Var[str]
+
+    @classmethod
+    def create(cls, *children, **props) -> Component:
+        """Create a navigation blocker.
+
+        Args:
+            *children: The children of the component, not rendered.
+            **props: The props of the component.
+
+        Returns:
+            The navigation blocker.
+        """
+        props.setdefault("when", True)
+        message = props.setdefault("message", DEFAULT_MESSAGE)
+        if isinstance(message, str):
+            props["message"] = Var.create_safe(message, _var_is_string=True)
+        return super().create(*children, **props)
+
+    def _get_hooks(self) -> str:
+        """Get the hooks to render.
+
+        Returns:
+            The useNavigationBlocker hook.
+        """
+        return f"{self.tag}({self.when._var_name_unwrapped}, {self.message._var_name_unwrapped})"
+
+    def render(self) -> str:
+        """Render the component.
+
+        Returns:
+            Empty string, because this component is only used for its hooks.
+        """
+        return ""
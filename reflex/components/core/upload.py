@@ -15,8 +15,10 @@ from reflex.event import (
     EventChain,
     EventSpec,
     call_event_fn,
-    call_script,
+    call_function,
+    get_fn_signature,
     parse_args_spec,
+    server_side,
 )
 from reflex.utils import imports
 from reflex.vars import BaseVar, CallableVar, Var, VarData
@@ -85,8 +87,9 @@ def clear_selected_files(id_: str = DEFAULT_UPLOAD_ID) -> EventSpec:
     """
     # UploadFilesProvider assigns a special function to clear selected files
     # into the shared global refs object to make it accessible outside a React
-    # component via `call_script` (otherwise backend could never clear files).
-    return call_script(f"refs['__clear_selected_files']({id_!r})")
+    # component via the `clear_selected_files` client function (otherwise backend
+    # could never clear files).
+    return call_function("clear_selected_files", id_)
 
 
 def cancel_upload(upload_id: str) -> EventSpec:
@@ -98,7 +101,9 @@ def cancel_upload(upload_id: str) -> EventSpec:
     Returns:
         An event spec that cancels the upload when triggered.
     """
-    return call_script(f"upload_controllers[{upload_id!r}]?.abort()")
+    return server_side(
+        "_cancel_upload", get_fn_signature(cancel_upload), upload_id=upload_id
+    )
 
 
 def get_upload_dir() -> Path:
@@ -20,8 +20,10 @@ from reflex.event import (
     EventChain,
     EventSpec,
     call_event_fn,
-    call_script,
+    call_function,
+    get_fn_signature,
     parse_args_spec,
+    server_side,
 )
 from reflex.utils import imports
 from reflex.vars import BaseVar, CallableVar, Var, VarData
@@ -2,15 +2,17 @@
 from __future__ import annotations
 
 from enum import Enum
-from typing import Any, Callable, Dict, List, Literal, Optional, Union
+from typing import Any, Callable, Dict, List, Literal, Optional, Union, cast
 
 from reflex.base import Base
 from reflex.components.component import Component, NoSSRComponent
 from reflex.components.literals import LiteralRowMarker
+from reflex.components.tags.tag import Tag
+from reflex.event import EventChain
 from reflex.utils import console, format, imports, types
 from reflex.utils.imports import ImportVar
 from reflex.utils.serializers import serializer
-from reflex.vars import Var, get_unique_variable_name
+from reflex.vars import BaseVar, Var, get_unique_variable_name
 
 
 # TODO: Fix the serialization issue for custom types.
@@ -115,6 +117,12 @@ class DataEditor(NoSSRComponent):
         "react-responsive-carousel@^3.2.7",
     ]
 
+    # The unique name of the client-side view of the rows, set on create.
+    _view_unique_name: str = ""
+
+    # The callbacks called after the ones of the cell editor, by their name in the frontend, set on create.
+    _cell_editor_handlers: Dict[str, Var] = {}
+
     # Number of rows.
     rows: Var[int]
 
@@ -127,12 +135,47 @@ class DataEditor(NoSSRComponent):
     # The name of the callback used to find the data to display.
     get_cell_content: Var[str]
 
+    # The renderers of the custom cells, like the dropdown and progress cells.
+    custom_renderers: Var[List[Any]]
+
+    # The callback checking an edited value, after its type and the validation rules of its column.
+    validate_cell: Var[Any]
+
+    # The callback called with the edited, pasted and filled cells, after coercing and sending them to on_cell_edited.
+    on_cells_edited: Var[Any]
+
+    # The callback called with the pressed keys, after undoing (ctrl+z) and redoing (ctrl+shift+z or ctrl+y) the edits.
+    on_key_down: Var[Any]
+
+    # Sort the rows on the client by clicking the column headers, shift+click to sort by several columns.
+    sortable: Var[bool]
+
+    # The filters of the rows applied on the client, by column id: the kept values, a range ({"min", "max"} or {"from", "to"}), a {"pattern"} or a value to match.
+    filters: Var[Dict[str, Any]]
+
+    # The id of the column grouping the rows on the client, in collapsible groups.
+    group_by: Var[str]
+
+    # Number of rows of each page fetched from the backend with on_fetch_rows,
+    # instead of holding all the rows in `data`.
+    page_size: Var[int]
+
+    # Maximum number of pages kept on the client, the least recently displayed
+    # ones are evicted first.
+    max_pages: Var[int]
+
+    # The rows sent by the backend in response to on_fetch_rows, as {"start": int, "rows": list}.
+    page: Var[Dict[str, Any]]
+
     # Allow selection for copying.
     get_cell_for_selection: Var[bool]
 
     # Allow paste.
     on_paste: Var[bool]
 
+    # Allow to fill the selected cells by dragging the handle of the selection.
+    fill_handle: Var[bool]
+
     # Controls the drawing of the focus ring.
     draw_focus_ring: Var[bool]
 
@@ -219,6 +262,22 @@ class DataEditor(NoSSRComponent):
                     ImportVar(
                         tag=f"formatDataEditorCells", is_default=False, install=False
                     ),
+                    ImportVar(tag="customRenderers", is_default=False, install=False),
+                    ImportVar(
+                        tag="formatPagedDataEditorCells",
+                        is_default=False,
+                        install=False,
+                    ),
+                    ImportVar(
+                        tag="usePagedDataSource", is_default=False, install=False
+                    ),
+                    ImportVar(tag="useCellEditor", is_default=False, install=False),
+                    ImportVar(tag="useDataView", is_default=False, install=False),
+                    ImportVar(
+                        tag="formatViewDataEditorCells",
+                        is_default=False,
+                        install=False,
+                    ),
                 },
             },
         )
@@ -250,8 +309,34 @@ class DataEditor(NoSSRComponent):
             "on_row_appended": lambda: [],
             "on_selection_cleared": lambda: [],
             "on_column_resize": lambda col, width: [col, width],
+            "on_fetch_rows": lambda start, end: [start, end],
         }
 
+    def _exclude_props(self) -> list[str]:
+        # Only used by the paged data source and the client-side view, see _get_hooks.
+        return super()._exclude_props() + [
+            "page_size",
+            "max_pages",
+            "page",
+            "on_fetch_rows",
+            "sortable",
+            "filters",
+            "group_by",
+        ]
+
+    def _has_client_view(self) -> bool:
+        # The rows held in `data` are sorted, filtered or grouped on the client.
+        return self.page_size is None and any(
+            prop is not None for prop in (self.sortable, self.filters, self.group_by)
+        )
+
+    def _get_trigger_code(self, trigger: str) -> str:
+        # The memoized callbacks may be declared after the hooks, so they are only referenced on call.
+        event_chain = self.event_triggers.get(trigger)
+        if event_chain is None:
+            return "() => null"
+        return str(format.format_prop(event_chain)).strip("{}")
+
     def _get_hooks(self) -> str | None:
         # Define the id of the component in case multiple are used in the same page.
         editor_id = get_unique_variable_name()
@@ -260,20 +345,115 @@ class DataEditor(NoSSRComponent):
         data_callback = f"getData_{editor_id}"
         self.get_cell_content = Var.create(data_callback, _var_is_local=False)  # type: ignore
 
-        code = [f"function {data_callback}([col, row])" "{"]
+        # Cells of the dropdown, progress and registered custom types are drawn by these renderers.
+        self.custom_renderers = Var.create_safe("customRenderers", _var_is_local=False)
 
         columns_path = f"{self.columns._var_full_name}"
+
+        code = []
+        view = None
+        if self._has_client_view():
+            # Sort, filter and group the rows on the client, mapping the displayed rows back to the data.
+            view = f"view_{self._view_unique_name}"
+            data_path = f"{self.data._var_full_name}"
+            sortable = (
+                self.sortable._var_full_name if self.sortable is not None else "false"
+            )
+            filters = (
+                self.filters._var_full_name if self.filters is not None else "null"
+            )
+            group_by = (
+                self.group_by._var_full_name if self.group_by is not None else "null"
+            )
+            code.append(
+                f"const {view} = useDataView({data_path}, {columns_path}, {sortable}, {filters}, {group_by}, "
+                f"(pos) => ({self._get_trigger_code('on_cell_clicked')})(pos), "
+                f"(col) => ({self._get_trigger_code('on_header_clicked')})(col));"
+            )
+
+        format_cell = "{}"
+        if "on_cell_edited" in self.event_triggers:
+            # Coerce and validate the edits before sending them, and keep them to be undone.
+            editor = f"editor_{editor_id}"
+            row_index = f"(row) => {view}.getRowIndex(row)" if view else "undefined"
+            handlers = ", ".join(
+                f"{name}: {handler._var_full_name}"
+                for name, handler in self._cell_editor_handlers.items()
+            )
+            code.append(
+                f"const {editor} = useCellEditor({columns_path}, {data_callback}, "
+                f"(pos, data) => ({self._get_trigger_code('on_cell_edited')})(pos, data), "
+                f"{row_index}, {{{handlers}}});"
+            )
+            format_cell = f"{editor}.decorate([col, row], {{}})"
+            self.validate_cell = Var.create_safe(
+                f"{editor}.validateCell", _var_is_local=False
+            )
+            self.on_cells_edited = Var.create_safe(
+                f"{editor}.onCellsEdited", _var_is_local=False
+            )
+            self.on_key_down = Var.create_safe(
+                f"{editor}.onKeyDown", _var_is_local=False
+            )
+
+        if self.page_size is not None:
+            # Fetch the rows from the backend as they are displayed.
+            source = f"source_{editor_id}"
+            fetch_rows_code = self._get_trigger_code("on_fetch_rows")
+            max_pages = (
+                self.max_pages._var_full_name if self.max_pages is not None else 10
+            )
+            page = self.page._var_full_name if self.page is not None else "null"
+            cell = format_cell.format(
+                f"formatPagedDataEditorCells(col, row, {columns_path}, {source})"
+            )
+            code.extend(
+                [
+                    f"const {source} = usePagedDataSource({self.page_size._var_full_name}, {max_pages}, {page}, (start, end) => ({fetch_rows_code})(start, end));",
+                    f"function {data_callback}([col, row])" "{",
+                    f"    return {cell};",
+                    "  }",
+                ]
+            )
+            return "\n".join(code)
+
+        code.append(f"function {data_callback}([col, row])" "{")
+
         data_path = f"{self.data._var_full_name}"
+        cell = format_cell.format(
+            f"formatViewDataEditorCells(col, row, {columns_path}, {data_path}, {view})"
+            if view
+            else f"formatDataEditorCells(col, row, {columns_path}, {data_path})"
+        )
 
         code.extend(
             [
-                f"    return formatDataEditorCells(col, row, {columns_path}, {data_path});",
+                f"    return {cell};",
                 "  }",
             ]
         )
 
         return "\n".join(code)
 
+    def _render(self) -> Tag:
+        render_tag = super()._render()
+        if self._has_client_view():
+            # Display the rows and columns of the view, which handles the clicks first.
+            view = f"view_{self._view_unique_name}"
+            render_tag.add_props(
+                rows=BaseVar(_var_name=f"{view}.rows", _var_type=int),
+                columns=BaseVar(
+                    _var_name=f"{view}.columns", _var_type=List[Dict[str, Any]]
+                ),
+                on_cell_clicked=BaseVar(
+                    _var_name=f"{view}.onCellClicked", _var_type=EventChain
+                ),
+                on_header_clicked=BaseVar(
+                    _var_name=f"{view}.onHeaderClicked", _var_type=EventChain
+                ),
+            )
+        return render_tag
+
     @classmethod
     def create(cls, *children, **props) -> Component:
         """Create the DataEditor component.
@@ -294,8 +474,18 @@ class DataEditor(NoSSRComponent):
         data = props.get("data", [])
         rows = props.get("rows", None)
 
+        if "page_size" in props:
+            # The rows are fetched page by page, so their total count must be given.
+            if rows is None:
+                raise ValueError(
+                    "The rows of a data_editor must be provided with page_size."
+                )
+            if any(prop in props for prop in ("sortable", "filters", "group_by")):
+                raise ValueError(
+                    "The rows of a data_editor with page_size cannot be sorted, filtered or grouped on the client."
+                )
         # If rows is not provided, determine from data.
-        if rows is None:
+        elif rows is None:
             props["rows"] = (
                 data.length()  # BaseVar.create(value=f"{data}.length()", is_local=False)
                 if isinstance(data, Var)
@@ -331,7 +521,22 @@ class DataEditor(NoSSRComponent):
             console.warn(
                 "get_cell_content is not user configurable, the provided value will be discarded"
             )
-        grid = super().create(*children, **props)
+        if props.pop("custom_renderers", None) is not None:
+            console.warn(
+                "custom_renderers is not user configurable, use registerCellRenderer in the frontend instead"
+            )
+        cell_editor_handlers = {}
+        if props.get("on_cell_edited") is not None:
+            # The cell editor calls these callbacks after its own.
+            for prop in ["validate_cell", "on_cells_edited", "on_key_down"]:
+                handler = props.pop(prop, None)
+                if handler is not None:
+                    cell_editor_handlers[format.to_camel_case(prop)] = Var.create_safe(
+                        handler, _var_is_local=False
+                    )
+        grid = cast(DataEditor, super().create(*children, **props))
+        grid._view_unique_name = get_unique_variable_name()
+        grid._cell_editor_handlers = cell_editor_handlers
         return Div.create(
             grid,
             width=props.pop("width", "100%"),
@@ -12,10 +12,12 @@ from typing import Any, Callable, Dict, List, Literal, Optional, Union
 from reflex.base import Base
 from reflex.components.component import Component, NoSSRComponent
 from reflex.components.literals import LiteralRowMarker
+from reflex.components.tags.tag import Tag
+from reflex.event import EventChain
 from reflex.utils import console, format, imports, types
 from reflex.utils.imports import ImportVar
 from reflex.utils.serializers import serializer
-from reflex.vars import Var, get_unique_variable_name
+from reflex.vars import BaseVar, Var, get_unique_variable_name
 
 class GridColumnIcons(Enum):
     Array = "array"
@@ -92,8 +94,19 @@ class DataEditor(NoSSRComponent):
         ] = None,
         data: Optional[Union[Var[List[List[Any]]], List[List[Any]]]] = None,
         get_cell_content: Optional[Union[Var[str], str]] = None,
+        custom_renderers: Optional[Union[Var[List[Any]], List[Any]]] = None,
+        validate_cell: Optional[Union[Var[Any], Any]] = None,
+        on_cells_edited: Optional[Union[Var[Any], Any]] = None,
+        on_key_down: Optional[Union[Var[Any], Any]] = None,
+        sortable: Optional[Union[Var[bool], bool]] = None,
+        filters: Optional[Union[Var[Dict[str, Any]], Dict[str, Any]]] = None,
+        group_by: Optional[Union[Var[str], str]] = None,
+        page_size: Optional[Union[Var[int], int]] = None,
+        max_pages: Optional[Union[Var[int], int]] = None,
+        page: Optional[Union[Var[Dict[str, Any]], Dict[str, Any]]] = None,
         get_cell_for_selection: Optional[Union[Var[bool], bool]] = None,
         on_paste: Optional[Union[Var[bool], bool]] = None,
+        fill_handle: Optional[Union[Var[bool], bool]] = None,
         draw_focus_ring: Optional[Union[Var[bool], bool]] = None,
         fixed_shadow_x: Optional[Union[Var[bool], bool]] = None,
         fixed_shadow_y: Optional[Union[Var[bool], bool]] = None,
@@ -153,6 +166,9 @@ class DataEditor(NoSSRComponent):
         on_delete: Optional[
             Union[EventHandler, EventSpec, list, function, BaseVar]
         ] = None,
+        on_fetch_rows: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
         on_finished_editing: Optional[
             Union[EventHandler, EventSpec, list, function, BaseVar]
         ] = None,
@@ -193,8 +209,19 @@ class DataEditor(NoSSRComponent):
             columns: Headers of the columns for the data grid.
             data: The data.
             get_cell_content: The name of the callback used to find the data to display.
+            custom_renderers: The renderers of the custom cells, like the dropdown and progress cells.
+            validate_cell: The callback checking an edited value, after its type and the validation rules of its column.
+            on_cells_edited: The callback called with the edited, pasted and filled cells, after coercing and sending them to on_cell_edited.
+            on_key_down: The callback called with the pressed keys, after undoing (ctrl+z) and redoing (ctrl+shift+z or ctrl+y) the edits.
+            sortable: Sort the rows on the client by clicking the column headers, shift+click to sort by several columns.
+            filters: The filters of the rows applied on the client, by column id: the kept values, a range ({"min", "max"} or {"from", "to"}), a {"pattern"} or a value to match.
+            group_by: The id of the column grouping the rows on the client, in collapsible groups.
+            page_size: Number of rows of each page fetched from the backend with on_fetch_rows,  instead of holding all the rows in `data`.
+            max_pages: Maximum number of pages kept on the client, the least recently displayed  ones are evicted first.
+            page: The rows sent by the backend in response to on_fetch_rows, as {"start": int, "rows": list}.
             get_cell_for_selection: Allow selection for copying.
             on_paste: Allow paste.
+            fill_handle: Allow to fill the selected cells by dragging the handle of the selection.
             draw_focus_ring: Controls the drawing of the focus ring.
             fixed_shadow_x: Enables or disables the overlay shadow when scrolling horizontally.
             fixed_shadow_y: Enables or disables the overlay shadow when scrolling vertically.
@@ -6,8 +6,9 @@ from typing import Any, Dict, Literal
 
 from reflex.components import Component
 from reflex.components.tags import Tag
-from reflex.utils import imports
-from reflex.vars import Var
+from reflex.style import DARK_COLOR_MODE, LIGHT_COLOR_MODE, SYSTEM_COLOR_MODE
+from reflex.utils import format, imports
+from reflex.vars import BaseVar, Var, VarData
 
 LiteralAlign = Literal["start", "center", "end", "baseline", "stretch"]
 LiteralJustify = Literal["start", "center", "end", "between"]
@@ -176,11 +177,14 @@ class Theme(RadixThemesComponent):
     # Scale of all theme items: "90%" | "95%" | "100%" | "105%" | "110%". Defaults to "100%"
     scaling: Var[LiteralScaling]
 
+    # Named themes which can be selected like a color mode, by name: their "color_mode" ("light" or "dark") and the theme props they override, like "accent_color" or "radius".
+    themes: Dict[str, Dict[str, Any]] = {}
+
     @classmethod
     def create(
         cls,
         *children,
-        color_mode: LiteralAppearance | None = None,
+        color_mode: LiteralAppearance | Literal["system"] | None = None,
         theme_panel: bool = False,
         **props,
     ) -> Component:
@@ -188,18 +192,80 @@ class Theme(RadixThemesComponent):
 
         Args:
             *children: Child components.
-            color_mode: Map to appearance prop.
+            color_mode: Map to appearance prop, "system" follows the system preference.
             theme_panel: Whether to include a panel for editing the theme.
             **props: Component properties.
 
         Returns:
             A new component instance.
         """
+        if color_mode == SYSTEM_COLOR_MODE:
+            # The system preference is applied as a class on the document, which the theme inherits.
+            color_mode = "inherit"
         if color_mode is not None:
             props["appearance"] = color_mode
         if theme_panel:
             children = [ThemePanel.create(), *children]
-        return super().create(*children, **props)
+        if props.get("themes"):
+            props["themes"] = {
+                name: cls._format_named_theme(name, settings)
+                for name, settings in props["themes"].items()
+            }
+        component = super().create(*children, **props)
+        if props.get("themes"):
+            # Override the props with the ones of the selected named theme.
+            component.set(
+                special_props={
+                    BaseVar(
+                        _var_name="{...colorModeThemes[selectedTheme]?.props}",
+                        _var_type=None,
+                        _var_data=VarData(  # type: ignore
+                            imports={
+                                "/utils/context.js": {
+                                    imports.ImportVar(tag="colorModeThemes")
+                                },
+                                "next-themes": {imports.ImportVar(tag="useTheme")},
+                            },
+                            hooks={"const { theme: selectedTheme } = useTheme()"},
+                        ),
+                    )
+                }
+            )
+        return component
+
+    @classmethod
+    def _format_named_theme(cls, name: str, settings: Dict[str, Any]) -> dict:
+        """Format the settings of a named theme for the frontend.
+
+        Args:
+            name: The name of the theme.
+            settings: The color mode and theme props of the theme.
+
+        Raises:
+            ValueError: If the name or a setting is invalid.
+
+        Returns:
+            The color mode of the theme as "appearance", and its props in camel case.
+        """
+        if name in (LIGHT_COLOR_MODE, DARK_COLOR_MODE, SYSTEM_COLOR_MODE):
+            raise ValueError(f"The color mode {name} cannot be the name of a theme.")
+        settings = settings.copy()
+        appearance = settings.pop("color_mode", LIGHT_COLOR_MODE)
+        if appearance not in (LIGHT_COLOR_MODE, DARK_COLOR_MODE):
+            raise ValueError(
+                f"Invalid color_mode {appearance} for theme {name}, expected light or dark."
+            )
+        for prop in settings:
+            if prop not in cls.get_props() or prop == "themes":
+                raise ValueError(f"Invalid prop {prop} for theme {name}.")
+        return {
+            "appearance": appearance,
+            "props": {format.to_camel_case(k): v for k, v in settings.items()},
+        }
+
+    def _exclude_props(self) -> list[str]:
+        # Compiled to the context, see _format_named_theme.
+        return ["themes"]
 
     def _get_imports(self) -> imports.ImportDict:
         return imports.merge_imports(
@@ -10,8 +10,9 @@ from reflex.style import Style
 from typing import Any, Dict, Literal
 from reflex.components import Component
 from reflex.components.tags import Tag
-from reflex.utils import imports
-from reflex.vars import Var
+from reflex.style import DARK_COLOR_MODE, LIGHT_COLOR_MODE, SYSTEM_COLOR_MODE
+from reflex.utils import format, imports
+from reflex.vars import BaseVar, Var, VarData
 
 LiteralAlign = Literal["start", "center", "end", "baseline", "stretch"]
 LiteralJustify = Literal["start", "center", "end", "between"]
@@ -334,7 +335,7 @@ class Theme(RadixThemesComponent):
     def create(  # type: ignore
         cls,
         *children,
-        color_mode: Optional[LiteralAppearance | None] = None,
+        color_mode: Optional[LiteralAppearance | Literal["system"] | None] = None,
         theme_panel: Optional[bool] = False,
         has_background: Optional[Union[Var[bool], bool]] = None,
         appearance: Optional[
@@ -426,6 +427,7 @@ class Theme(RadixThemesComponent):
                 Literal["90%", "95%", "100%", "105%", "110%"],
             ]
         ] = None,
+        themes: Optional[Dict[str, Dict[str, Any]]] = None,
         style: Optional[Style] = None,
         key: Optional[Any] = None,
         id: Optional[Any] = None,
@@ -483,7 +485,7 @@ class Theme(RadixThemesComponent):
 
         Args:
             *children: Child components.
-            color_mode: Map to appearance prop.
+            color_mode: Map to appearance prop, "system" follows the system preference.
             theme_panel: Whether to include a panel for editing the theme.
             has_background: Whether to apply the themes background color to the theme node. Defaults to True.
             appearance: Override light or dark mode theme: "inherit" | "light" | "dark". Defaults to "inherit".
@@ -492,6 +494,7 @@ class Theme(RadixThemesComponent):
             panel_background: Whether panel backgrounds are translucent: "solid" | "translucent" (default)
             radius: Element border radius: "none" | "small" | "medium" | "large" | "full". Defaults to "medium".
             scaling: Scale of all theme items: "90%" | "95%" | "100%" | "105%" | "110%". Defaults to "100%"
+            themes: Named themes which can be selected like a color mode, by name: their "color_mode" ("light" or "dark") and the theme props they override, like "accent_color" or "radius".
             style: The style of the component.
             key: A unique key for the component.
             id: The id for the component.
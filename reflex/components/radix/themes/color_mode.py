@@ -17,12 +17,22 @@ rx.text(
 from __future__ import annotations
 
 import dataclasses
+from typing import Any, Dict
 
-from reflex.components.component import BaseComponent
+from reflex.components.base.fragment import Fragment
+from reflex.components.component import BaseComponent, Component
 from reflex.components.core.cond import Cond, color_mode_cond
 from reflex.components.lucide.icon import Icon
-from reflex.style import LIGHT_COLOR_MODE, color_mode, toggle_color_mode
-from reflex.vars import BaseVar
+from reflex.constants import EventTriggers
+from reflex.style import (
+    LIGHT_COLOR_MODE,
+    color_mode,
+    color_mode_theme,
+    set_color_mode,
+    toggle_color_mode,
+)
+from reflex.utils import format, imports
+from reflex.vars import BaseVar, Var
 
 from .components.button import Button
 from .components.switch import Switch
@@ -98,12 +108,78 @@ class ColorModeButton(Button):
         )
 
 
+class ColorModeSync(Fragment):
+    """Persist the selected color mode or theme name to a state var, so it follows the user across devices."""
+
+    # The state var holding the selected color mode or theme name.
+    value: Var[str]
+
+    # Whether the state is hydrated, the value is only synced after.
+    is_hydrated: Var[bool]
+
+    @classmethod
+    def create(cls, value: Var, on_change: Any, **props) -> Component:
+        """Create a component syncing the color mode with a state var.
+
+        Args:
+            value: The state var holding the selected name.
+            on_change: The event handler setting the state var.
+            **props: The props of the component.
+
+        Returns:
+            The component.
+        """
+        from reflex.state import State
+
+        return super().create(
+            value=value,
+            is_hydrated=State.is_hydrated,  # type: ignore
+            on_change=on_change,
+            **props,
+        )
+
+    def get_event_triggers(self) -> Dict[str, Any]:
+        """Get the event triggers that pass the component's value to the handler.
+
+        Returns:
+            A dict mapping the event trigger to the var that is passed to the handler.
+        """
+        return {
+            **super().get_event_triggers(),
+            EventTriggers.ON_CHANGE: lambda name: [name],
+        }
+
+    def _get_imports(self) -> imports.ImportDict:
+        return imports.merge_imports(
+            super()._get_imports(),
+            {
+                "/utils/helpers/colormode.js": [
+                    imports.ImportVar(tag="useColorModeSync")
+                ],
+            },
+        )
+
+    def _exclude_props(self) -> list[str]:
+        return ["value", "is_hydrated", EventTriggers.ON_CHANGE]
+
+    def _get_hooks(self) -> str | None:
+        on_change = str(
+            format.format_prop(self.event_triggers[EventTriggers.ON_CHANGE])
+        ).strip("{}")
+        # The memoized callback may be declared after this hook, so it is only referenced on call.
+        return f"useColorModeSync({self.value._var_full_name}, {self.is_hydrated._var_full_name}, (name) => ({on_change})(name))"
+
+
 class ColorModeNamespace(BaseVar):
     """Namespace for color mode components."""
 
     icon = staticmethod(ColorModeIcon.create)
     switch = staticmethod(ColorModeSwitch.create)
     button = staticmethod(ColorModeButton.create)
+    sync = staticmethod(ColorModeSync.create)
+    # The selected color mode or theme name, and the function selecting one.
+    theme = color_mode_theme
+    set = set_color_mode
 
 
 color_mode_var_and_namespace = ColorModeNamespace(**dataclasses.asdict(color_mode))
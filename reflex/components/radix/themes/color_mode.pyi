@@ -8,11 +8,21 @@ from reflex.vars import Var, BaseVar, ComputedVar
 from reflex.event import EventChain, EventHandler, EventSpec
 from reflex.style import Style
 import dataclasses
-from reflex.components.component import BaseComponent
+from typing import Any, Dict
+from reflex.components.base.fragment import Fragment
+from reflex.components.component import BaseComponent, Component
 from reflex.components.core.cond import Cond, color_mode_cond
 from reflex.components.lucide.icon import Icon
-from reflex.style import LIGHT_COLOR_MODE, color_mode, toggle_color_mode
-from reflex.vars import BaseVar
+from reflex.constants import EventTriggers
+from reflex.style import (
+    LIGHT_COLOR_MODE,
+    color_mode,
+    color_mode_theme,
+    set_color_mode,
+    toggle_color_mode,
+)
+from reflex.utils import format, imports
+from reflex.vars import BaseVar, Var
 from .components.button import Button
 from .components.switch import Switch
 
@@ -520,9 +530,89 @@ class ColorModeButton(Button):
         """
         ...
 
+class ColorModeSync(Fragment):
+    @overload
+    @classmethod
+    def create(  # type: ignore
+        cls,
+        *children,
+        value: Optional[Union[Var[str], str]] = None,
+        is_hydrated: Optional[Union[Var[bool], bool]] = None,
+        style: Optional[Style] = None,
+        key: Optional[Any] = None,
+        id: Optional[Any] = None,
+        class_name: Optional[Any] = None,
+        autofocus: Optional[bool] = None,
+        custom_attrs: Optional[Dict[str, Union[Var, str]]] = None,
+        on_blur: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_change: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_click: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_context_menu: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_double_click: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_focus: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mount: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_down: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_enter: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_leave: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_move: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_out: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_over: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_mouse_up: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_scroll: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        on_unmount: Optional[
+            Union[EventHandler, EventSpec, list, function, BaseVar]
+        ] = None,
+        **props
+    ) -> "ColorModeSync":
+        """Create a component syncing the color mode with a state var.
+
+        Args:
+            value: The state var holding the selected name.
+            on_change: The event handler setting the state var.
+            **props: The props of the component.
+
+        Returns:
+            The component.
+        """
+        ...
+    def get_event_triggers(self) -> Dict[str, Any]: ...
+
 class ColorModeNamespace(BaseVar):
     icon = staticmethod(ColorModeIcon.create)
     switch = staticmethod(ColorModeSwitch.create)
     button = staticmethod(ColorModeButton.create)
+    sync = staticmethod(ColorModeSync.create)
+    theme = color_mode_theme
+    set = set_color_mode
 
 color_mode_var_and_namespace = ColorModeNamespace(**dataclasses.asdict(color_mode))
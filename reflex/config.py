@@ -190,6 +190,13 @@ class Config(Base):
     # Whether to enable or disable nextJS gzip compression.
     next_compression: bool = True
 
+    # Whether to never use eval in the frontend, for a strict Content-Security-Policy.
+    # rx.call_script is then disabled in favor of rx.call_function.
+    csp_safe: bool = False
+
+    # Whether the tabs of a browser share one token and one websocket, so they share the state.
+    share_across_tabs: bool = False
+
     # The event namespace for ws connection
     event_namespace: Optional[str] = None
 
@@ -63,6 +63,8 @@ class Config(Base):
     tailwind: Optional[Dict[str, Any]]
     timeout: int
     next_compression: bool
+    csp_safe: bool
+    share_across_tabs: bool
     event_namespace: Optional[str]
     frontend_packages: List[str]
     rxdeploy_url: Optional[str]
@@ -90,6 +92,8 @@ class Config(Base):
         tailwind: Optional[Dict[str, Any]] = None,
         timeout: Optional[int] = None,
         next_compression: Optional[bool] = None,
+        csp_safe: Optional[bool] = None,
+        share_across_tabs: Optional[bool] = None,
         event_namespace: Optional[str] = None,
         frontend_packages: Optional[List[str]] = None,
         rxdeploy_url: Optional[str] = None,
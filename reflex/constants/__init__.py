@@ -3,6 +3,7 @@
 from .base import (
     COOKIES,
     ENV_MODE_ENV_VAR,
+    INDEXED_DB,
     IS_WINDOWS,
     LOCAL_STORAGE,
     POLLING_MAX_HTTP_BUFFER_SIZE,
@@ -10,6 +11,7 @@ from .base import (
     REFLEX_VAR_CLOSING_TAG,
     REFLEX_VAR_OPENING_TAG,
     RELOAD_CONFIG,
+    SESSION_STORAGE,
     SKIP_COMPILE_ENV_VAR,
     ColorMode,
     Dirs,
@@ -86,6 +88,7 @@ __ALL__ = [
     Hooks,
     Imports,
     IS_WINDOWS,
+    INDEXED_DB,
     LOCAL_STORAGE,
     LogLevel,
     MemoizationDisposition,
@@ -110,6 +113,7 @@ __ALL__ = [
     ROUTER_DATA,
     ROUTER_DATA_INCLUDE,
     ROUTE_NOT_FOUND,
+    SESSION_STORAGE,
     SETTER_PREFIX,
     SKIP_COMPILE_ENV_VAR,
     SocketEvent,
@@ -130,6 +130,8 @@ class ColorMode(SimpleNamespace):
     NAME = "colorMode"
     USE = "useColorMode"
     TOGGLE = "toggleColorMode"
+    SET = "setColorMode"
+    THEME = "colorModeTheme"
 
 
 # Env modes
@@ -179,6 +181,8 @@ class Ping(SimpleNamespace):
 # Keys in the client_side_storage dict
 COOKIES = "cookies"
 LOCAL_STORAGE = "local_storage"
+SESSION_STORAGE = "session_storage"
+INDEXED_DB = "indexed_db"
 
 # If this env var is set to "yes", App.compile will be a no-op
 SKIP_COMPILE_ENV_VAR = "__REFLEX_SKIP_COMPILE"
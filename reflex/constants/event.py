@@ -45,6 +45,7 @@ class SocketEvent(SimpleNamespace):
 
     PING = "ping"
     EVENT = "event"
+    ENCODING = "encoding"
 
     def __str__(self) -> str:
         """Get the string representation of the event name.
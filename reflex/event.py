@@ -3,6 +3,7 @@
 from __future__ import annotations
 
 import inspect
+import json
 from base64 import b64encode
 from types import FunctionType
 from typing import (
@@ -39,6 +40,12 @@ class Event(Base):
     # The event payload.
     payload: Dict[str, Any] = {}
 
+    # The lane of the event queue the event was sent from, if any.
+    lane: Optional[str] = None
+
+    # The client-side id of the event, to skip the events replayed by the frontend.
+    client_id: Optional[str] = None
+
     @property
     def substate_token(self) -> str:
         """Get the substate token for the event.
@@ -75,8 +82,10 @@ def background(fn):
 class EventActionsMixin(Base):
     """Mixin for DOM event actions."""
 
-    # Whether to `preventDefault` or `stopPropagation` on the event.
-    event_actions: Dict[str, bool] = {}
+    # Whether to `preventDefault` or `stopPropagation` on the event, how to
+    # debounce, throttle, coalesce, lane or time it out in the event queue, and
+    # its optimistic delta.
+    event_actions: Dict[str, Any] = {}
 
     @property
     def stop_propagation(self):
@@ -100,6 +109,115 @@ class EventActionsMixin(Base):
             update={"event_actions": {"preventDefault": True, **self.event_actions}},
         )
 
+    def debounce(self, delay: int):
+        """Only queue the event once it stopped triggering for the given delay.
+
+        Args:
+            delay: The delay in milliseconds.
+
+        Returns:
+            New EventHandler-like with debounce set to the delay.
+        """
+        return self.copy(
+            update={"event_actions": {**self.event_actions, "debounce": delay}},
+        )
+
+    def throttle(self, limit: int):
+        """Queue the event at most once per interval, the latest trigger last.
+
+        Args:
+            limit: The interval in milliseconds.
+
+        Returns:
+            New EventHandler-like with throttle set to the interval.
+        """
+        return self.copy(
+            update={"event_actions": {**self.event_actions, "throttle": limit}},
+        )
+
+    def lane(self, name: str):
+        """Process the event in a separate lane of the event queue.
+
+        Events of a lane are processed in order, one at a time, but without
+        waiting for the events of other lanes to finish.
+
+        Lanes only apply to the event queue of the frontend: the backend still
+        processes the events of a client one at a time while holding the lock of
+        its state, so a slow handler delays the events of all lanes. Make slow
+        handlers @rx.background, which release the lock while they run.
+
+        Args:
+            name: The name of the lane.
+
+        Returns:
+            New EventHandler-like with lane set to the name.
+        """
+        return self.copy(
+            update={"event_actions": {**self.event_actions, "lane": name}},
+        )
+
+    def timeout(self, delay: int):
+        """Stop waiting for the event to finish after the given delay.
+
+        The event queue is released and a "timeout" client error is reported
+        if the final update for the event is not received in time.
+
+        Args:
+            delay: The delay in milliseconds.
+
+        Returns:
+            New EventHandler-like with timeout set to the delay.
+        """
+        return self.copy(
+            update={"event_actions": {**self.event_actions, "timeout": delay}},
+        )
+
+    def optimistic(self, delta: Dict[str, Any], substate: str | None = None):
+        """Apply a predicted delta to the state right away, without waiting for
+        the backend.
+
+        The prediction is confirmed once the event finishes, or rolled back to
+        the values sent by the backend if they disagree, or if the event times out.
+
+        Args:
+            delta: The predicted values by var name. Like the deltas sent by the
+                backend, it may hold patch operations under "$patch", such as
+                {"op": "increment", "path": "/count", "value": 1}.
+            substate: The full name of the substate the delta is for, by default
+                the state of the event handler.
+
+        Returns:
+            New EventHandler-like with the optimistic delta of the substate.
+
+        Raises:
+            ValueError: If the substate is not given and the event handler has no state.
+        """
+        if substate is None:
+            handler = getattr(self, "handler", self)
+            substate = getattr(handler, "state_full_name", "")
+        if not substate:
+            raise ValueError("The substate of the optimistic delta must be given.")
+        optimistic = self.event_actions.get("optimistic", {})
+        return self.copy(
+            update={
+                "event_actions": {
+                    **self.event_actions,
+                    "optimistic": {**optimistic, substate: delta},  # type: ignore
+                }
+            },
+        )
+
+    @property
+    def coalesce(self):
+        """Replace any queued event with the same name by the latest one.
+
+        Returns:
+            New EventHandler-like with coalesce set to True.
+        """
+        return self.copy(
+            update={"event_actions": {"coalesce": True, **self.event_actions}},
+        )
+
 
 class EventHandler(EventActionsMixin):
     """An event handler responds to an event to update the state."""
@@ -297,9 +415,20 @@ class FileUpload(Base):
 
     upload_id: Optional[str] = None
     on_upload_progress: Optional[Union[EventHandler, Callable]] = None
+    # Upload the files in resumable chunks of this size, in bytes.
+    chunk_size: Optional[int] = None
+    # The number of chunks to send at once.
+    parallel_chunks: Optional[int] = None
+    # Reject the upload if more files are selected.
+    max_files: Optional[int] = None
+    # Reject the upload if a file is larger, in bytes.
+    max_size: Optional[int] = None
+    # The accepted MIME types and extensions, as a list or {mime_type: [extensions]}.
+    accept: Optional[Union[List[str], Dict[str, List[str]]]] = None
+    on_upload_error: Optional[Union[EventHandler, Callable]] = None
 
     @staticmethod
-    def on_upload_progress_args_spec(_prog: Dict[str, Union[int, float, bool]]):
+    def on_upload_progress_args_spec(_prog: Dict[str, Any]):
         """Args spec for on_upload_progress event handler.
 
         Returns:
@@ -307,6 +436,15 @@ class FileUpload(Base):
         """
         return [_prog]
 
+    @staticmethod
+    def on_upload_error_args_spec(_error: Dict[str, Any]):
+        """Args spec for on_upload_error event handler.
+
+        Returns:
+            The arg mapping passed to backend event handler
+        """
+        return [_error]
+
     def as_event_spec(self, handler: EventHandler) -> EventSpec:
         """Get the EventSpec for the file upload.
 
@@ -317,7 +455,8 @@ class FileUpload(Base):
             The event spec for the handler.
 
         Raises:
-            ValueError: If the on_upload_progress is not a valid event handler.
+            ValueError: If the on_upload_progress or on_upload_error is not a valid
+                event handler.
         """
         from reflex.components.core.upload import (
             DEFAULT_UPLOAD_ID,
@@ -338,28 +477,38 @@ class FileUpload(Base):
                 Var.create_safe(upload_id, _var_is_string=True),
             ),
         ]
-        if self.on_upload_progress is not None:
-            on_upload_progress = self.on_upload_progress
-            if isinstance(on_upload_progress, EventHandler):
-                events = [
-                    call_event_handler(
-                        on_upload_progress,
-                        self.on_upload_progress_args_spec,
-                    ),
-                ]
-            elif isinstance(on_upload_progress, Callable):
+        for option in (
+            "chunk_size",
+            "parallel_chunks",
+            "max_files",
+            "max_size",
+            "accept",
+        ):
+            value = getattr(self, option)
+            if value is not None:
+                spec_args.append((Var.create_safe(option), Var.create_safe(value)))
+        for name, callback, args_spec in (
+            (
+                "on_upload_progress",
+                self.on_upload_progress,
+                self.on_upload_progress_args_spec,
+            ),
+            ("on_upload_error", self.on_upload_error, self.on_upload_error_args_spec),
+        ):
+            if callback is None:
+                continue
+            if isinstance(callback, EventHandler):
+                events = [call_event_handler(callback, args_spec)]
+            elif isinstance(callback, Callable):
                 # Call the lambda to get the event chain.
-                events = call_event_fn(on_upload_progress, self.on_upload_progress_args_spec)  # type: ignore
+                events = call_event_fn(callback, args_spec)  # type: ignore
             else:
-                raise ValueError(f"{on_upload_progress} is not a valid event handler.")
-            on_upload_progress_chain = EventChain(
-                events=events,
-                args_spec=self.on_upload_progress_args_spec,
-            )
-            formatted_chain = str(format.format_prop(on_upload_progress_chain))
+                raise ValueError(f"{callback} is not a valid event handler.")
+            chain = EventChain(events=events, args_spec=args_spec)
+            formatted_chain = str(format.format_prop(chain))
             spec_args.append(
                 (
-                    Var.create_safe("on_upload_progress"),
+                    Var.create_safe(name),
                     BaseVar(
                         _var_name=formatted_chain.strip("{}"),
                         _var_type=EventChain,
@@ -469,9 +618,7 @@ def scroll_to(elem_id: str) -> EventSpec:
     Returns:
         An EventSpec to scroll the page to the selected element.
     """
-    js_code = f"document.getElementById('{elem_id}').scrollIntoView();"
-
-    return call_script(js_code)
+    return call_function("scroll_into_view", elem_id)
 
 
 def set_value(ref: str, value: Any) -> EventSpec:
@@ -630,7 +777,7 @@ def download(
 
 
 def _callback_arg_spec(eval_result):
-    """ArgSpec for call_script callback function.
+    """ArgSpec for call_script and call_function callback functions.
 
     Args:
         eval_result: The result of the javascript execution.
@@ -677,6 +824,113 @@ def call_script(
     )
 
 
+def _format_client_callback(
+    callback: EventHandler | Callable, fn_name: str
+) -> dict[str, Any]:
+    """Format a callback receiving the result of a client-side special event.
+
+    The callback is sent as data rather than code, so that it is not evaluated.
+
+    Args:
+        callback: EventHandler that will receive the result.
+        fn_name: The name of the function creating the event, for errors.
+
+    Returns:
+        The `name` of the event handler, its literal `args` and the `result_arg`
+        receiving the result.
+
+    Raises:
+        ValueError: If the callback is not a valid event handler, or takes
+            arguments other than the result and literal values.
+    """
+    arg_name = parse_args_spec(_callback_arg_spec)[0]._var_name
+    if isinstance(callback, EventHandler):
+        event_spec = call_event_handler(callback, _callback_arg_spec)
+    elif isinstance(callback, FunctionType):
+        event_spec = call_event_fn(callback, _callback_arg_spec)[0]
+    else:
+        raise ValueError(f"Cannot use {callback!r} as a {fn_name} callback.")
+    result_arg = None
+    callback_args = {}
+    for name, value in event_spec.args:
+        if value._var_is_string:
+            callback_args[name._var_name] = value._var_name
+        elif value._var_full_name == arg_name:
+            result_arg = name._var_name
+        else:
+            try:
+                callback_args[name._var_name] = json.loads(value._var_name)
+            except ValueError as e:
+                raise ValueError(
+                    f"Cannot pass {value._var_name} to a {fn_name} callback, "
+                    "only the result and literal values are supported."
+                ) from e
+    return {
+        "name": format.format_event_handler(event_spec.handler),
+        "args": callback_args,
+        "result_arg": result_arg,
+    }
+
+
+def call_function(
+    function: str,
+    *args: Any,
+    callback: EventHandler | Callable | None = None,
+) -> EventSpec:
+    """Create an event handler that calls a client function registered with
+    `registerClientFunction` in the frontend.
+
+    Unlike call_script, no code is evaluated in the browser, so the event works
+    with a strict Content-Security-Policy (see Config.csp_safe).
+
+    Args:
+        function: The name of the registered client function.
+        *args: The JSON serializable arguments of the function.
+        callback: EventHandler that will receive the result of the function.
+
+    Returns:
+        EventSpec: An event that will call the client function.
+    """
+    callback_kwargs = {}
+    if callback is not None:
+        callback_kwargs = {
+            "callback": _format_client_callback(callback, "call_function")
+        }
+    return server_side(
+        "_call_function",
+        get_fn_signature(call_function),
+        function=function,
+        args=list(args),
+        **callback_kwargs,
+    )
+
+
+def client_event(
+    name: str,
+    callback: EventHandler | Callable | None = None,
+    **payload: Any,
+) -> EventSpec:
+    """Create an event handled in the browser by a special event handler
+    registered with `registerSpecialEvent` in the frontend.
+
+    Args:
+        name: The name of the special event, starting with "_".
+        callback: EventHandler that will receive the value returned by the handler.
+        **payload: The JSON serializable payload passed to the handler.
+
+    Returns:
+        EventSpec: An event that will run the special event handler.
+
+    Raises:
+        ValueError: If the name does not start with "_".
+    """
+    if not name.startswith("_"):
+        raise ValueError(f"Special event names must start with '_', got {name!r}.")
+    if callback is not None:
+        payload["callback"] = _format_client_callback(callback, "client_event")
+    return server_side(name, get_fn_signature(client_event), **payload)
+
+
 def get_event(state, event):
     """Get the event from the given state.
 
@@ -15,6 +15,8 @@ def page(
     meta: list[Any] | None = None,
     script_tags: list[Any] | None = None,
     on_load: Any | list[Any] | None = None,
+    guard: Any | None = None,
+    cache_state: bool = False,
 ):
     """Decorate a function as a page.
 
@@ -33,6 +35,8 @@ def page(
         meta: Additionnal meta to add to the page.
         on_load: The event handler(s) called when the page load.
         script_tags: scripts to attach to the page
+        guard: The guard checked on the client before displaying the page.
+        cache_state: Whether to display the last state of the page when returning to it.
 
     Returns:
         The decorated function.
@@ -54,6 +58,10 @@ def page(
             kwargs["script_tags"] = script_tags
         if on_load:
             kwargs["on_load"] = on_load
+        if guard:
+            kwargs["guard"] = guard
+        if cache_state:
+            kwargs["cache_state"] = cache_state
 
         DECORATED_PAGES.append((render_fn, kwargs))
 
@@ -3,8 +3,38 @@
 from __future__ import annotations
 
 import re
+from typing import Any, Dict, Optional
 
 from reflex import constants
+from reflex.base import Base
+from reflex.utils.imports import ImportVar
+from reflex.vars import BaseVar, Var, VarData
+
+# Reference the route transition in progress
+route_transition_var_data = VarData(  # type: ignore
+    imports={
+        f"/{constants.Dirs.STATE_PATH}": {ImportVar(tag="useRouteTransition")},
+    },
+    hooks={"const routeTransition = useRouteTransition()"},
+)
+# Var resolves to the path being navigated to, or null once its page is hydrated
+route_pending = BaseVar(
+    _var_name="routeTransition.pending",
+    _var_type=Optional[str],
+    _var_data=route_transition_var_data,
+)
+# Var resolves to the progress of the route transition, from 0 to 1
+route_progress = BaseVar(
+    _var_name="routeTransition.progress",
+    _var_type=float,
+    _var_data=route_transition_var_data,
+)
+# Var resolves to whether a route transition is in progress
+is_route_transitioning = BaseVar(
+    _var_name="(routeTransition.pending !== null)",
+    _var_type=bool,
+    _var_data=route_transition_var_data,
+)
 
 
 def verify_route_validity(route: str) -> None:
@@ -77,6 +107,18 @@ def get_route_args(route: str) -> dict[str, str]:
     return args
 
 
+def get_route_path(route: str) -> str:
+    """Get the path of a formatted route, as matched by the frontend.
+
+    Args:
+        route: The formatted route, like "index" or "posts/[id]".
+
+    Returns:
+        The path of the route, like "/" or "/posts/[id]".
+    """
+    return "/" + ("" if route == constants.PageNames.INDEX_ROUTE else route)
+
+
 def catchall_in_route(route: str) -> str:
     """Extract the catchall part from a route.
 
@@ -101,3 +143,43 @@ def catchall_prefix(route: str) -> str:
     """
     pattern = catchall_in_route(route)
     return route.replace(pattern, "") if pattern else ""
+
+
+class RouteGuard(Base):
+    """A guard checked on the client before displaying a page.
+
+    The page is displayed if the cookie is set and the var is truthy, otherwise
+    the client is redirected without the page being displayed.
+    """
+
+    # The route to redirect to when the guard does not pass.
+    redirect: str
+
+    # The name of a cookie that must be set.
+    cookie: Optional[str] = None
+
+    # A state var that must be truthy, checked once the state is hydrated.
+    var: Optional[Var] = None
+
+    def compile(self) -> Dict[str, Any]:
+        """Compile the guard for the frontend.
+
+        Returns:
+            The guard as expected by the route guard of the frontend.
+
+        Raises:
+            ValueError: If the var is not a state var.
+        """
+        guard: Dict[str, Any] = {"redirect": self.redirect}
+        if self.cookie is not None:
+            guard["cookie"] = self.cookie
+        if self.var is not None:
+            if self.var._var_data is None or not self.var._var_data.state:
+                raise ValueError(
+                    f"The var of a route guard must be a state var, got {self.var._var_name}."
+                )
+            guard["var"] = {
+                "state": self.var._var_data.state,
+                "name": self.var._var_name,
+            }
+        return guard
@@ -209,8 +209,16 @@ RESERVED_BACKEND_VAR_NAMES = {
     "_always_dirty_computed_vars",
     "_always_dirty_substates",
     "_was_touched",
+    "_var_appends",
 }
 
+# Key of the patch operations in a substate delta, applied by the frontend.
+PATCH_KEY = "$patch"
+
+# Minimum length of a list var before items are appended to it, for only the
+# appended items to be sent in a patch instead of the whole list.
+PATCH_MIN_LENGTH = 100
+
 
 def _substate_key(
     token: str,
@@ -310,6 +318,10 @@ class BaseState(Base, ABC, extra=pydantic.Extra.allow):
     # Whether the state has ever been touched since instantiation.
     _was_touched: bool = False
 
+    # The lengths of the list vars before items were appended to them, for the
+    # dirty vars only changed by appending items.
+    _var_appends: Dict[str, int] = {}
+
     def __init__(
         self,
         *args,
@@ -1128,6 +1140,8 @@ class BaseState(Base, ABC, extra=pydantic.Extra.allow):
 
         # Add the var to the dirty list.
         if name in self.vars or name in self._computed_var_dependencies:
+            if name in self._var_appends:
+                self._mark_var_mutated(name, value, None)
             self.dirty_vars.add(name)
             self._mark_dirty()
 
@@ -1614,6 +1628,15 @@ class BaseState(Base, ABC, extra=pydantic.Extra.allow):
             for prop in delta_vars
             if not types.is_backend_variable(prop, self.__class__)
         }
+
+        # Send the items appended to large lists instead of the whole lists.
+        patches = [
+            {"op": "append", "path": f"/{prop}", "items": subdelta.pop(prop)[start:]}
+            for prop, start in self._var_appends.items()
+            if start >= PATCH_MIN_LENGTH and prop in subdelta
+        ]
+        if patches:
+            subdelta[PATCH_KEY] = patches
         if len(subdelta) > 0:
             delta[self.get_full_name()] = subdelta
 
@@ -1689,6 +1712,28 @@ class BaseState(Base, ABC, extra=pydantic.Extra.allow):
         # Clean this state.
         self.dirty_vars = set()
         self.dirty_substates = set()
+        self._var_appends = {}
+
+    def _mark_var_mutated(self, name: str, value: Any, method: str | None):
+        """Record how a var is mutated in place, before it is marked dirty.
+
+        A list var only changed by appending items to it is sent as a patch
+        with the appended items, see get_delta.
+
+        Args:
+            name: The name of the var.
+            value: The mutated value, the var or a value nested in it.
+            method: The name of the mutating method, if any.
+        """
+        if name in self.dirty_vars and name not in self._var_appends:
+            # Already sent whole.
+            return
+        if method in ("append", "extend") and value is self.get_value(name):
+            self._var_appends = {name: len(value), **self._var_appends}
+        else:
+            self._var_appends = {
+                var: start for var, start in self._var_appends.items() if var != name
+            }
 
     def get_value(self, key: str) -> Any:
         """Get the value of a field (without proxying).
@@ -1800,12 +1845,38 @@ class BaseState(Base, ABC, extra=pydantic.Extra.allow):
         return state
 
 
+# Number of processed event ids remembered per client, to skip replayed events.
+MAX_PROCESSED_EVENT_IDS = 100
+
+
 class State(BaseState):
     """The app Base State."""
 
     # The hydrated bool.
     is_hydrated: bool = False
 
+    # The client-side ids of the last processed events, oldest first.
+    _processed_event_ids: List[str] = []
+
+    def _mark_event_processed(self, client_id: str) -> bool:
+        """Record that an event is processed, unless it already was.
+
+        The frontend replays the events whose final update it did not receive,
+        like after a reconnect or a page reload, so they may arrive twice.
+
+        Args:
+            client_id: The client-side id of the event.
+
+        Returns:
+            Whether the event was not processed before.
+        """
+        if client_id in self._processed_event_ids:
+            return False
+        self._processed_event_ids = [*self._processed_event_ids, client_id][
+            -MAX_PROCESSED_EVENT_IDS:
+        ]
+        return True
+
 
 class UpdateVarsInternalState(State):
     """Substate for handling internal state var updates."""
@@ -2125,6 +2196,23 @@ class StateUpdate(Base):
     # Whether this is the final state update for the event.
     final: bool = True
 
+    # The lane of the processed event, echoed so the frontend releases it.
+    lane: Optional[str] = None
+
+    # The client-side id of the processed event, echoed so the frontend ignores late updates.
+    client_id: Optional[str] = None
+
+    def json(self) -> str:
+        """Convert the state update to a json string.
+
+        The lane and client id are left out for the events sent without them.
+
+        Returns:
+            The state update as a json string.
+        """
+        unset = {key for key in ("lane", "client_id") if getattr(self, key) is None}
+        return json.dumps(self.dict(exclude=unset), default=serialize)
+
 
 class StateManager(Base, ABC):
     """A class to manage many client states."""
@@ -2687,6 +2775,7 @@ class Cookie(ClientStorageBase, str):
     domain: str | None
     secure: bool | None
     same_site: str
+    sync: bool = False
 
     def __new__(
         cls,
@@ -2700,6 +2789,7 @@ class Cookie(ClientStorageBase, str):
         domain: str | None = None,
         secure: bool | None = None,
         same_site: str = "lax",
+        sync: bool = False,
     ):
         """Create a client-side Cookie (str).
 
@@ -2714,6 +2804,7 @@ class Cookie(ClientStorageBase, str):
             secure: Is the cookie only accessible through HTTPS?
             same_site: Whether the cookie is sent with third party requests.
                 One of (true|false|none|lax|strict)
+            sync: Whether changes should be propagated to other tabs.
 
         Returns:
             The client-side Cookie object.
@@ -2730,6 +2821,7 @@ class Cookie(ClientStorageBase, str):
         inst.domain = domain
         inst.secure = secure
         inst.same_site = same_site
+        inst.sync = sync
         return inst
 
 
@@ -2769,6 +2861,94 @@ class LocalStorage(ClientStorageBase, str):
         return inst
 
 
+class SessionStorage(ClientStorageBase, str):
+    """Represents a state Var that is stored in sessionStorage in the browser.
+
+    Values are serialized as JSON, so vars annotated with structured types are
+    restored as such.
+    """
+
+    name: str | None
+    max_age: int | None
+    max_size: int | None
+
+    def __new__(
+        cls,
+        object: Any = "",
+        encoding: str | None = None,
+        errors: str | None = None,
+        /,
+        name: str | None = None,
+        max_age: int | None = None,
+        max_size: int | None = None,
+    ) -> "SessionStorage":
+        """Create a client-side sessionStorage (str).
+
+        Args:
+            object: The initial object.
+            encoding: The encoding to use.
+            errors: The error handling scheme to use.
+            name: The name of the storage key on the client side.
+            max_age: Relative max age of the value in seconds from when the client stores it.
+            max_size: Maximum size in bytes of the serialized value, larger values are not stored.
+
+        Returns:
+            The client-side sessionStorage object.
+        """
+        if encoding or errors:
+            inst = super().__new__(cls, object, encoding or "utf-8", errors or "strict")
+        else:
+            inst = super().__new__(cls, object)
+        inst.name = name
+        inst.max_age = max_age
+        inst.max_size = max_size
+        return inst
+
+
+class IndexedDB(ClientStorageBase, str):
+    """Represents a state Var that is stored in IndexedDB in the browser.
+
+    Suited to larger data than localStorage. Values are serialized as JSON, so
+    vars annotated with structured types are restored as such.
+    """
+
+    name: str | None
+    max_age: int | None
+    max_size: int | None
+
+    def __new__(
+        cls,
+        object: Any = "",
+        encoding: str | None = None,
+        errors: str | None = None,
+        /,
+        name: str | None = None,
+        max_age: int | None = None,
+        max_size: int | None = None,
+    ) -> "IndexedDB":
+        """Create a client-side IndexedDB entry (str).
+
+        Args:
+            object: The initial object.
+            encoding: The encoding to use.
+            errors: The error handling scheme to use.
+            name: The key of the entry on the client side.
+            max_age: Relative max age of the value in seconds from when the client stores it.
+            max_size: Maximum size in bytes of the serialized value, larger values are not stored.
+
+        Returns:
+            The client-side IndexedDB object.
+        """
+        if encoding or errors:
+            inst = super().__new__(cls, object, encoding or "utf-8", errors or "strict")
+        else:
+            inst = super().__new__(cls, object)
+        inst.name = name
+        inst.max_age = max_age
+        inst.max_size = max_size
+        return inst
+
+
 class MutableProxy(wrapt.ObjectProxy):
     """A proxy for a mutable object that tracks changes."""
 
@@ -2836,6 +3016,11 @@ class MutableProxy(wrapt.ObjectProxy):
         Returns:
             The result of the wrapped function.
         """
+        self._self_state._mark_var_mutated(
+            self._self_field_name,
+            self.__wrapped__,
+            getattr(wrapped, "__name__", None),
+        )
         self._self_state.dirty_vars.add(self._self_field_name)
         self._self_state._mark_dirty()
         if wrapped is not None:
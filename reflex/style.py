@@ -14,6 +14,7 @@ VarData.update_forward_refs()  # Ensure all type definitions are resolved
 
 LIGHT_COLOR_MODE: str = "light"
 DARK_COLOR_MODE: str = "dark"
+SYSTEM_COLOR_MODE: str = "system"
 
 # Reference the global ColorModeContext
 color_mode_var_data = VarData(  # type: ignore
@@ -22,7 +23,7 @@ color_mode_var_data = VarData(  # type: ignore
         "react": {ImportVar(tag="useContext")},
     },
     hooks={
-        f"const [ {constants.ColorMode.NAME}, {constants.ColorMode.TOGGLE} ] = useContext(ColorModeContext)",
+        f"const [ {constants.ColorMode.NAME}, {constants.ColorMode.TOGGLE}, {constants.ColorMode.SET}, {constants.ColorMode.THEME} ] = useContext(ColorModeContext)",
     },
 )
 # Var resolves to the current color mode for the app ("light" or "dark")
@@ -37,6 +38,43 @@ toggle_color_mode = BaseVar(
     _var_type=EventChain,
     _var_data=color_mode_var_data,
 )
+# Var resolves to the selected color mode or theme name ("light", "dark", "system" or a named theme)
+color_mode_theme = BaseVar(
+    _var_name=constants.ColorMode.THEME,
+    _var_type="str",
+    _var_data=color_mode_var_data,
+)
+
+
+class SetColorModeVar(BaseVar):
+    """Var resolving to a function selecting the color mode or theme name it is called with.
+
+    Call it with a name to get a function selecting that name, e.g. `on_click=set_color_mode("system")`.
+    """
+
+    def __call__(self, name: str | Var) -> BaseVar:
+        """Get a function selecting a color mode or theme name.
+
+        Args:
+            name: The color mode ("light", "dark" or "system") or the name of a theme.
+
+        Returns:
+            A var resolving to the function.
+        """
+        name = Var.create_safe(name, _var_is_string=isinstance(name, str))
+        return BaseVar(
+            _var_name=f"() => {self._var_name}({name._var_name_unwrapped})",
+            _var_type=EventChain,
+            _var_data=VarData.merge(self._var_data, name._var_data),
+        )
+
+
+# Var resolves to a function selecting a color mode or theme name
+set_color_mode = SetColorModeVar(
+    _var_name=constants.ColorMode.SET,
+    _var_type=EventChain,
+    _var_data=color_mode_var_data,
+)
 
 breakpoints = ["0", "30em", "48em", "62em", "80em", "96em"]
 
@@ -215,3 +215,56 @@ def test_create_document_root():
     assert root.lang == "rx"  # type: ignore
     assert isinstance(root.custom_attrs, dict)
     assert root.custom_attrs == {"project": "reflex"}
+
+
+def test_compile_client_storage_cookie_sync():
+    """Test that the sync option of cookies is compiled."""
+    from reflex.state import BaseState, Cookie
+
+    class CookieSyncState(BaseState):
+        synced: str = Cookie(sync=True, max_age=60)
+        unsynced: str = Cookie(name="unsynced_cookie")
+
+    state_name = CookieSyncState.get_full_name()
+    assert utils.compile_client_storage(CookieSyncState)["cookies"] == {
+        f"{state_name}.synced": {
+            "path": "/",
+            "maxAge": 60,
+            "sameSite": "lax",
+            "sync": True,
+        },
+        f"{state_name}.unsynced": {
+            "name": "unsynced_cookie",
+            "path": "/",
+            "sameSite": "lax",
+            "sync": False,
+        },
+    }
+
+
+def test_compile_client_storage():
+    """Test that each client storage type is compiled with its options."""
+    from reflex.state import (
+        BaseState,
+        Cookie,
+        IndexedDB,
+        LocalStorage,
+        SessionStorage,
+    )
+
+    class ClientStorageState(BaseState):
+        c: str = Cookie(sync=True)
+        l: str = LocalStorage(name="l")
+        s: str = SessionStorage(max_age=60)
+        i: str = IndexedDB(max_size=1024)
+
+    state_name = ClientStorageState.get_full_name()
+    client_storage = utils.compile_client_storage(ClientStorageState)
+    assert client_storage["cookies"] == {
+        f"{state_name}.c": {"path": "/", "sameSite": "lax", "sync": True}
+    }
+    assert client_storage["local_storage"] == {
+        f"{state_name}.l": {"name": "l", "sync": False}
+    }
+    assert client_storage["session_storage"] == {f"{state_name}.s": {"maxAge": 60}}
+    assert client_storage["indexed_db"] == {f"{state_name}.i": {"maxSize": 1024}}
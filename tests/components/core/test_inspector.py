@@ -0,0 +1,7 @@
+from reflex.components.core.inspector import Inspector
+
+
+def test_inspector_create():
+    inspector = Inspector.create(max_entries=20)
+    assert str(inspector) == "<Inspector maxEntries={20}/>"
+    assert "/utils/inspector" in inspector._get_imports()
@@ -0,0 +1,216 @@
+from typing import Any, Dict, List, Tuple
+
+import pytest
+
+from reflex.components.datadisplay.dataeditor import DataEditor
+from reflex.state import BaseState
+from reflex.vars import Var
+
+
+class DataEditorState(BaseState):
+    """Test State class."""
+
+    data: List[List[Any]] = [["row", 1]]
+    columns: List[Dict[str, Any]] = [
+        {"title": "Name", "id": "name", "type": "str"},
+        {"title": "Count", "id": "count", "type": "int"},
+    ]
+    page: Dict[str, Any] = {}
+
+    def edit_cell(self, pos: Tuple[int, int], data: Dict[str, Any]):
+        """Edit a cell.
+
+        Args:
+            pos: The column and row of the cell.
+            data: The new data of the cell.
+        """
+        col, row = pos
+        self.data[row][col] = data["data"]
+
+    def click_cell(self, pos: Tuple[int, int]):
+        """Click a cell.
+
+        Args:
+            pos: The column and row of the cell.
+        """
+        pass
+
+    def fetch_rows(self, start: int, end: int):
+        """Send the rows of a page.
+
+        Args:
+            start: The index of the first row.
+            end: The index after the last row.
+        """
+        self.page = {"start": start, "rows": [["row", i] for i in range(start, end)]}
+
+
+def create_grid(**props) -> Tuple[DataEditor, str]:
+    """Create a data editor and get its hooks, which set its generated props.
+
+    Args:
+        **props: The props of the data editor.
+
+    Returns:
+        The data editor, without its wrapping div, and its hooks.
+    """
+    grid = DataEditor.create(**props).children[0]
+    assert isinstance(grid, DataEditor)
+    hooks = grid._get_hooks()
+    assert hooks is not None
+    return grid, hooks
+
+
+def test_data_editor_custom_renderers():
+    """Test that the custom cells are drawn by the renderers of the helpers."""
+    grid, hooks = create_grid(
+        data=DataEditorState.data, columns=DataEditorState.columns
+    )
+    assert "customRenderers={customRenderers}" in grid.render()["props"]
+    assert (
+        f"return formatDataEditorCells(col, row, {DataEditorState.columns._var_full_name}, "  # type: ignore
+        f"{DataEditorState.data._var_full_name});"  # type: ignore
+    ) in hooks
+    tags = {
+        import_var.tag
+        for import_var in grid._get_imports()["/utils/helpers/dataeditor.js"]
+    }
+    assert {"customRenderers", "formatDataEditorCells"} <= tags
+
+
+def test_data_editor_custom_renderers_not_configurable():
+    """Test that the custom renderers cannot be set from the backend."""
+    grid, _ = create_grid(
+        data=DataEditorState.data,
+        columns=DataEditorState.columns,
+        custom_renderers=["renderer"],
+    )
+    assert "customRenderers={customRenderers}" in grid.render()["props"]
+
+
+def test_data_editor_paging():
+    """Test that the rows are fetched from the backend page by page."""
+    grid, hooks = create_grid(
+        columns=DataEditorState.columns,
+        rows=1000,
+        page_size=100,
+        max_pages=5,
+        page=DataEditorState.page,
+        on_fetch_rows=DataEditorState.fetch_rows,
+    )
+    assert (
+        f"usePagedDataSource(100, 5, {DataEditorState.page._var_full_name}, (start, end) => ("  # type: ignore
+    ) in hooks
+    assert f'Event("{DataEditorState.get_full_name()}.fetch_rows"' in hooks
+    assert (
+        f"return formatPagedDataEditorCells(col, row, {DataEditorState.columns._var_full_name}, source_"  # type: ignore
+    ) in hooks
+    props = grid.render()["props"]
+    for prop in ["pageSize", "maxPages", "page", "onFetchRows"]:
+        assert not any(p.startswith(f"{prop}=") for p in props)
+
+
+@pytest.mark.parametrize(
+    "props",
+    [
+        {"page_size": 100},
+        {"page_size": 100, "rows": 1000, "sortable": True},
+    ],
+)
+def test_data_editor_paging_invalid(props):
+    """Test that the paged rows must be counted and cannot be viewed on the client.
+
+    Args:
+        props: The invalid props of the data editor.
+    """
+    with pytest.raises(ValueError):
+        DataEditor.create(columns=DataEditorState.columns, **props)
+
+
+def test_data_editor_cell_editor():
+    """Test that the edits are validated and sent by the cell editor of the helpers."""
+    grid, hooks = create_grid(
+        data=DataEditorState.data,
+        columns=DataEditorState.columns,
+        on_cell_edited=DataEditorState.edit_cell,
+    )
+    assert f"useCellEditor({DataEditorState.columns._var_full_name}, getData_" in hooks  # type: ignore
+    assert f'Event("{DataEditorState.get_full_name()}.edit_cell"' in hooks
+    assert ".decorate([col, row], formatDataEditorCells(col, row, " in hooks
+    props = grid.render()["props"]
+    for prop in ["validateCell", "onCellsEdited", "onKeyDown"]:
+        assert any(
+            p.startswith(f"{prop}={{editor_") and p.endswith(f".{prop}}}")
+            for p in props
+        )
+
+
+def test_data_editor_cell_editor_handlers():
+    """Test that the callbacks of the app are called after the ones of the cell editor."""
+    grid, hooks = create_grid(
+        data=DataEditorState.data,
+        columns=DataEditorState.columns,
+        on_cell_edited=DataEditorState.edit_cell,
+        validate_cell="validate",
+        on_key_down=Var.create("onKey", _var_is_local=False),
+    )
+    assert ", undefined, {validateCell: validate, onKeyDown: onKey});" in hooks
+    props = grid.render()["props"]
+    for prop in ["validateCell", "onCellsEdited", "onKeyDown"]:
+        assert any(
+            p.startswith(f"{prop}={{editor_") and p.endswith(f".{prop}}}")
+            for p in props
+        )
+
+    # Without the cell editor, the callbacks are passed to the grid as is.
+    grid, _ = create_grid(
+        data=DataEditorState.data,
+        columns=DataEditorState.columns,
+        on_key_down=Var.create("onKey", _var_is_local=False),
+    )
+    assert "onKeyDown={onKey}" in grid.render()["props"]
+
+
+def test_data_editor_view():
+    """Test that the rows are sorted, filtered and grouped by a client-side view."""
+    grid, hooks = create_grid(
+        data=DataEditorState.data,
+        columns=DataEditorState.columns,
+        sortable=True,
+        filters={"count": {"min": 1}},
+        group_by="name",
+        on_cell_clicked=DataEditorState.click_cell,
+    )
+    view = f"view_{grid._view_unique_name}"  # type: ignore
+    assert (
+        f"const {view} = useDataView({DataEditorState.data._var_full_name}, "  # type: ignore
+        f"{DataEditorState.columns._var_full_name}, true, "  # type: ignore
+    ) in hooks
+    assert f'Event("{DataEditorState.get_full_name()}.click_cell"' in hooks
+    assert "(col) => (() => null)(col));" in hooks
+    assert "formatViewDataEditorCells(col, row, " in hooks
+    props = grid.render()["props"]
+    for prop in ["rows", "columns", "onCellClicked", "onHeaderClicked"]:
+        assert f"{prop}={{{view}.{prop}}}" in props
+    for prop in ["sortable", "filters", "groupBy", "viewUniqueName"]:
+        assert not any(p.startswith(f"{prop}=") for p in props)
+
+
+def test_data_editor_view_unique_name():
+    """Test that the data editors of a page have their own client-side view."""
+    grids = [
+        create_grid(
+            data=DataEditorState.data, columns=DataEditorState.columns, sortable=True
+        )[0]
+        for _ in range(2)
+    ]
+    assert grids[0]._view_unique_name != grids[1]._view_unique_name  # type: ignore
+
+
+def test_data_editor_no_view():
+    """Test that the rows are displayed as is without sorting, filters or groups."""
+    grid, hooks = create_grid(
+        data=DataEditorState.data, columns=DataEditorState.columns
+    )
+    assert "useDataView(" not in hooks
+    assert not any(p.startswith("rows={view_") for p in grid.render()["props"])
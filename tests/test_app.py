@@ -1,7 +1,9 @@
 from __future__ import annotations
 
+import gzip
 import io
 import os.path
+import time
 import unittest.mock
 import uuid
 from pathlib import Path
@@ -18,9 +20,13 @@ from starlette_admin.contrib.sqla.view import ModelView
 import reflex as rx
 from reflex import AdminDash, constants
 from reflex.app import (
+    UPLOAD_CHUNKS_EXPIRY,
     App,
     ComponentCallable,
+    EventNamespace,
     OverlayFragment,
+    _get_upload_chunks_dir,
+    _remove_stale_upload_chunks,
     default_overlay_component,
     process,
     upload,
@@ -270,6 +276,55 @@ def test_add_page_set_route_dynamic(index_page, windows_platform: bool):
     assert constants.ROUTER in app.state()._computed_var_dependencies
 
 
+def test_get_dynamic_routes(index_page):
+    """Test getting the dynamic routes matched by the 404 fallback of static exports.
+
+    Args:
+        index_page: The index page.
+    """
+    app = App(state=EmptyState)
+    app.add_page(index_page, route="/")
+    app.add_page(index_page, route="/post/[id]")
+    app.add_page(index_page, route="/post/new")
+    app.add_page(index_page, route="/docs/[[...slug]]")
+    assert app._get_dynamic_routes() == ["/docs/[[...slug]]", "/post/[id]"]
+
+
+def test_add_page_cache_state(index_page):
+    """Test adding pages whose last state is displayed when returning to them.
+
+    Args:
+        index_page: The index page.
+    """
+    app = App(state=EmptyState)
+    app.add_page(index_page, route="/", cache_state=True)
+    app.add_page(index_page, route="/post/[id]", cache_state=True)
+    app.add_page(index_page, route="/about")
+    assert app.cached_routes == {"index", "post/[id]"}
+    assert app._get_cached_routes() == ["/", "/post/[id]"]
+
+
+def test_compile_error_reporting():
+    """Test compiling the options of the client error reporting."""
+
+    class ErrorState(BaseState):
+        def on_client_error(self, error: dict):
+            pass
+
+    app = App(state=EmptyState)
+    assert app._compile_error_reporting() == {"handler": None, "maxErrors": 10}
+
+    app = App(
+        state=EmptyState,
+        client_error_handler=ErrorState.on_client_error,
+        max_client_errors=5,
+    )
+    assert app._compile_error_reporting() == {
+        "handler": f"{ErrorState.get_full_name()}.on_client_error",
+        "maxErrors": 5,
+    }
+
+
 def test_add_page_set_route_nested(app: App, index_page, windows_platform: bool):
     """Test adding a page to an app.
 
@@ -816,6 +871,91 @@ async def test_upload_file(tmp_path, state, delta, token: str, mocker):
         await app.state_manager.close()
 
 
+@pytest.mark.asyncio
+async def test_upload_file_chunks(tmp_path, token: str, mocker):
+    """Test that the chunks of an upload are assembled before calling the handler.
+
+    Args:
+        tmp_path: Temporary path.
+        token: a Token.
+        mocker: pytest mocker object.
+    """
+    mocker.patch("reflex.state.State.class_subclasses", {FileUploadState})
+    mocker.patch("tempfile.tempdir", str(tmp_path))
+    FileUploadState._tmp_path = tmp_path
+    app = App(state=State)
+    upload_fn = upload(app)
+
+    # The chunks of two files, the last one is sent after the others.
+    chunks = [
+        (0, 0, b"This is ", "image1.jpg"),
+        (1, 0, b"more", "image2.jpg"),
+        (0, 8, b"binary data", "image1.jpg"),
+    ]
+    sizes = {0: 19, 1: 4}
+    responses = []
+    for i, (file_index, offset, data, filename) in enumerate(chunks):
+        request_mock = unittest.mock.Mock()
+        request_mock.headers = {
+            "reflex-client-token": token,
+            "reflex-event-handler": f"{FileUploadState.get_full_name()}.multi_handle_upload",
+            "reflex-upload-id": "upload1",
+            "reflex-upload-file-index": str(file_index),
+            "reflex-upload-offset": str(offset),
+            "reflex-upload-file-size": str(sizes[file_index]),
+        }
+        if i == len(chunks) - 1:
+            request_mock.headers["reflex-upload-complete"] = "true"
+        responses.append(
+            await upload_fn(
+                request_mock, [UploadFile(filename=filename, file=io.BytesIO(data))]
+            )
+        )
+        if i < len(chunks) - 1:
+            # The handler is only called with the last chunk.
+            assert responses[-1].status_code == 204
+            current_state = await app.state_manager.get_state(
+                _substate_key(token, FileUploadState)
+            )
+            state_dict = current_state.dict()[FileUploadState.get_full_name()]
+            assert state_dict["img_list"] == []
+
+    async for _ in responses[-1].body_iterator:
+        pass
+    current_state = await app.state_manager.get_state(
+        _substate_key(token, FileUploadState)
+    )
+    state_dict = current_state.dict()[FileUploadState.get_full_name()]
+    assert state_dict["img_list"] == ["image1.jpg", "image2.jpg"]
+    assert (tmp_path / "image1.jpg").read_bytes() == b"This is binary data"
+    assert (tmp_path / "image2.jpg").read_bytes() == b"more"
+    assert not list((tmp_path / "reflex_upload_chunks").iterdir())
+
+    if isinstance(app.state_manager, StateManagerRedis):
+        await app.state_manager.close()
+
+
+def test_remove_stale_upload_chunks(tmp_path, mocker):
+    """Test that the chunks of the abandoned uploads are removed.
+
+    Args:
+        tmp_path: Temporary path.
+        mocker: pytest mocker object.
+    """
+    mocker.patch("tempfile.tempdir", str(tmp_path))
+    stale = _get_upload_chunks_dir("token", "stale")
+    fresh = _get_upload_chunks_dir("token", "fresh")
+    for chunks_dir in (stale, fresh):
+        chunks_dir.mkdir(parents=True)
+        (chunks_dir / "0.part").write_bytes(b"data")
+    expired = time.time() - UPLOAD_CHUNKS_EXPIRY - 1
+    os.utime(stale, (expired, expired))
+
+    _remove_stale_upload_chunks()
+    assert not stale.exists()
+    assert fresh.exists()
+
+
 @pytest.mark.asyncio
 @pytest.mark.parametrize(
     "state",
@@ -1159,6 +1299,45 @@ async def test_process_events(mocker, token: str):
         await app.state_manager.close()
 
 
+class ReplayState(State):
+    """A state counting the processed events."""
+
+    count: int = 0
+
+    def increment(self):
+        """Increment the count."""
+        self.count += 1
+
+
+@pytest.mark.asyncio
+async def test_process_replayed_event(token: str):
+    """Test that an event replayed by the frontend is only processed once.
+
+    Args:
+        token: a Token.
+    """
+    app = App(state=ReplayState)
+    event = Event(
+        token=token,
+        name=f"{ReplayState.get_full_name()}.increment",
+        router_data={"pathname": "/", "query": {}},
+        client_id="event-1",
+    )
+    updates = [update async for update in process(app, event, "sid", {}, "0.0.0.0")]
+    assert updates[-1].delta
+
+    # The replayed event only sends an empty final update.
+    updates = [update async for update in process(app, event, "sid", {}, "0.0.0.0")]
+    assert updates == [StateUpdate(final=True)]
+    state = await app.state_manager.get_state(event.substate_token)
+    substate = state.get_substate(ReplayState.get_full_name().split("."))
+    assert isinstance(substate, ReplayState)
+    assert substate.count == 1
+
+    if isinstance(app.state_manager, StateManagerRedis):
+        await app.state_manager.close()
+
+
 @pytest.mark.parametrize(
     ("state", "overlay_component", "exp_page_child"),
     [
@@ -1305,7 +1484,7 @@ def test_app_wrap_priority(compilable_app):
         "function AppWrap({children}) {"
         "return ("
         "<Box>"
-        "<ChakraProvider theme={extendTheme(theme)}>"
+        "<ChakraProvider theme={extendTheme(theme)} colorModeManager={colorModeManager}>"
         "<ChakraColorModeProvider>"
         "<Text>"
         "<Fragment2>"
@@ -1355,3 +1534,35 @@ def test_app_state_determination():
     # Referencing an event handler enables state.
     a4.add_page(rx.box(rx.button("Click", on_click=rx.console_log(""))), route="/")
     assert a4.state is not None
+
+
+@pytest.mark.asyncio
+@pytest.mark.parametrize(
+    ("query", "encoding"),
+    [
+        ("encodings=gzip%2Cjson5", "gzip"),
+        ("encodings=msgpack,json5", "json5"),
+        ("", "json5"),
+    ],
+)
+async def test_event_namespace_encoding(query: str, encoding: str):
+    """Test that the wire encoding is negotiated when connecting.
+
+    Args:
+        query: The query string of the websocket request.
+        encoding: The expected encoding.
+    """
+    namespace = EventNamespace("/_event", App(state=State))
+    namespace.emit = AsyncMock()  # type: ignore
+    await namespace.on_connect("sid", {"QUERY_STRING": query})
+    namespace.emit.assert_called_once_with("encoding", encoding, to="sid")
+
+    update = StateUpdate(delta={"state": {"value": 1}}, final=True)
+    await namespace.emit_update(update, "sid")
+    message = namespace.emit.call_args.args[1]
+    if encoding == "gzip":
+        message = gzip.decompress(message).decode("utf-8")
+    assert message == update.json()
+
+    namespace.on_disconnect("sid")
+    assert "sid" not in namespace.encodings
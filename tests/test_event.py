@@ -266,6 +266,43 @@ def test_remove_local_storage():
     )
 
 
+def test_call_function():
+    """Test the event call_function."""
+    spec = event.call_function("fn", 1, "a")
+    assert isinstance(spec, EventSpec)
+    assert spec.handler.fn.__qualname__ == "_call_function"
+    assert spec.args[0][0].equals(Var.create_safe("function"))
+    assert spec.args[0][1].equals(Var.create_safe("fn"))
+    assert spec.args[1][0].equals(Var.create_safe("args"))
+    assert spec.args[1][1].equals(Var.create_safe([1, "a"]))
+    assert len(spec.args) == 2
+
+    spec = event.call_function("fn", callback=lambda result: event.console_log(result))
+    assert spec.args[2][0].equals(Var.create_safe("callback"))
+    assert spec.args[2][1].equals(
+        Var.create_safe({"name": "_console", "args": {}, "result_arg": "message"})
+    )
+
+
+def test_client_event():
+    """Test the event client_event."""
+    spec = event.client_event("_set_title", title="Home")
+    assert isinstance(spec, EventSpec)
+    assert spec.handler.fn.__qualname__ == "_set_title"
+    assert format.format_event(spec) == 'Event("_set_title", {title:`Home`})'
+
+    spec = event.client_event(
+        "_notify", callback=lambda result: event.console_log(result), body="hi"
+    )
+    assert spec.args[1][0].equals(Var.create_safe("callback"))
+    assert spec.args[1][1].equals(
+        Var.create_safe({"name": "_console", "args": {}, "result_arg": "message"})
+    )
+
+    with pytest.raises(ValueError):
+        event.client_event("set_title", title="Home")
+
+
 def test_event_actions():
     """Test DOM event actions, like stopPropagation and preventDefault."""
     # EventHandler
@@ -302,6 +339,48 @@ def test_event_actions():
     assert not handler.event_actions
 
 
+def test_event_queue_actions():
+    """Test event queue actions, like debounce, throttle and coalesce."""
+    handler = EventHandler(fn=lambda: None)
+    debounced = handler.debounce(300)
+    assert debounced.event_actions == {"debounce": 300}
+    throttled = debounced.throttle(1000).coalesce
+    assert throttled.event_actions == {
+        "debounce": 300,
+        "throttle": 1000,
+        "coalesce": True,
+    }
+    assert handler.debounce(300).debounce(500).event_actions == {"debounce": 500}
+    assert handler.lane("export").event_actions == {"lane": "export"}
+    assert handler.timeout(5000).event_actions == {"timeout": 5000}
+
+    # The values keep their type, 1 is not coerced to True nor "1" to a number.
+    assert type(handler.debounce(1)().event_actions["debounce"]) is int
+    assert handler.lane("1")().event_actions["lane"] == "1"
+
+    # Optimistic deltas are keyed by substate, the handler's own by default.
+    state_handler = EventHandler(fn=lambda: None, state_full_name="state.counter")
+    predicted = state_handler.optimistic({"count": 1}).optimistic(
+        {"total": 2}, substate="state.totals"
+    )
+    assert predicted.event_actions == {
+        "optimistic": {"state.counter": {"count": 1}, "state.totals": {"total": 2}}
+    }
+    with pytest.raises(ValueError):
+        handler.optimistic({"count": 1})
+
+    # Convert to EventSpec should carry event actions
+    spec = throttled()
+    assert spec.event_actions == throttled.event_actions
+    assert spec.stop_propagation.event_actions == {
+        "stopPropagation": True,
+        **throttled.event_actions,
+    }
+
+    # The original handler should still not be touched.
+    assert not handler.event_actions
+
+
 def test_event_actions_on_state():
     class EventActionState(BaseState):
         def handler(self):
@@ -315,3 +394,36 @@ def test_event_actions_on_state():
     assert sp_handler.event_actions == {"stopPropagation": True}
     # should NOT affect other references to the handler
     assert not handler.event_actions
+
+
+def test_upload_files_options():
+    """Test that the upload options are passed to uploadFiles."""
+
+    def handle_upload(_, files):
+        pass
+
+    def handle_upload_error(_, error):
+        pass
+
+    handle_upload.__qualname__ = "handle_upload"
+    handle_upload_error.__qualname__ = "handle_upload_error"
+
+    spec = event.upload_files(
+        chunk_size=1024,
+        parallel_chunks=2,
+        max_files=3,
+        max_size=2048,
+        accept=[".png"],
+        on_upload_error=EventHandler(fn=handle_upload_error),
+    ).as_event_spec(EventHandler(fn=handle_upload))
+    formatted = format.format_event(spec)
+    for option in (
+        "chunk_size:1024",
+        "parallel_chunks:2",
+        "max_files:3",
+        "max_size:2048",
+        'accept:[".png"]',
+        'on_upload_error:(__error) => addEvents([Event("handle_upload_error"',
+    ):
+        assert option in formatted
+    assert "on_upload_progress" not in formatted
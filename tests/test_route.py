@@ -1,7 +1,14 @@
 import pytest
 
 from reflex import constants
-from reflex.route import catchall_in_route, get_route_args, verify_route_validity
+from reflex.route import (
+    RouteGuard,
+    catchall_in_route,
+    get_route_args,
+    get_route_path,
+    verify_route_validity,
+)
+from reflex.vars import BaseVar, VarData
 
 
 @pytest.mark.parametrize(
@@ -69,3 +76,38 @@ def test_verify_valid_routes(route_name):
 def test_verify_invalid_routes(route_name):
     with pytest.raises(ValueError):
         verify_route_validity(route_name)
+
+
+def test_route_guard_compile():
+    """Test that a route guard compiles its cookie and state var."""
+    logged_in = BaseVar(
+        _var_name="logged_in",
+        _var_type=bool,
+        _var_data=VarData(state="state.auth_state"),  # type: ignore
+    )
+    guard = RouteGuard(redirect="/login", cookie="token", var=logged_in)
+    assert guard.compile() == {
+        "redirect": "/login",
+        "cookie": "token",
+        "var": {"state": "state.auth_state", "name": "logged_in"},
+    }
+    assert RouteGuard(redirect="/login").compile() == {"redirect": "/login"}
+
+
+def test_route_guard_requires_state_var():
+    """Test that a route guard var must be a state var."""
+    guard = RouteGuard(redirect="/login", var=BaseVar(_var_name="true", _var_type=bool))
+    with pytest.raises(ValueError):
+        guard.compile()
+
+
+@pytest.mark.parametrize(
+    "route, expected",
+    [
+        ("index", "/"),
+        ("about", "/about"),
+        ("posts/[id]", "/posts/[id]"),
+    ],
+)
+def test_get_route_path(route, expected):
+    assert get_route_path(route) == expected
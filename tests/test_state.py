@@ -19,6 +19,9 @@ from reflex.base import Base
 from reflex.constants import CompileVars, RouteVar, SocketEvent
 from reflex.event import Event, EventHandler
 from reflex.state import (
+    MAX_PROCESSED_EVENT_IDS,
+    PATCH_KEY,
+    PATCH_MIN_LENGTH,
     BaseState,
     ImmutableStateError,
     LockExpiredError,
@@ -2020,6 +2023,70 @@ async def test_background_task_no_block(mock_app: rx.App, token: str):
     }
 
 
+@pytest.mark.asyncio
+async def test_background_task_lane(mock_app: rx.App, token: str):
+    """Test that the lane of a background task is released while the task runs.
+
+    The backend processes the other events of a client one at a time, so lanes
+    only let the events of other lanes run alongside background tasks.
+
+    Args:
+        mock_app: An app that will be returned by `get_app()`
+        token: A token.
+    """
+    mock_app.state_manager.state = mock_app.state = BackgroundTaskState
+    mock_app.sio.get_environ = Mock(  # type: ignore
+        return_value={"asgi.scope": {"headers": [], "client": ["127.0.0.1"]}}
+    )
+    namespace = mock_app.event_namespace
+    assert namespace is not None
+    await namespace.on_event(
+        "sid",
+        json.dumps(
+            {
+                "token": token,
+                "name": f"{BackgroundTaskState.get_name()}.background_task",
+                "router_data": {"query": {}},
+                "payload": {},
+                "lane": "export",
+            }
+        ),
+    )
+    # The final update echoing the lane releases it right away.
+    messages = [json.loads(call.args[1]) for call in namespace.emit.mock_calls]
+    assert {"delta": {}, "events": [], "final": True, "lane": "export"} in messages
+
+    # wait for the coroutine to start
+    await asyncio.sleep(0.5 if CI else 0.1)
+    assert len(mock_app.background_tasks) == 1
+
+    # An event of the main lane is processed while the task runs.
+    await namespace.on_event(
+        "sid",
+        json.dumps(
+            {
+                "token": token,
+                "name": f"{BackgroundTaskState.get_name()}.other",
+                "router_data": {"query": {}},
+                "payload": {},
+            }
+        ),
+    )
+    for task in tuple(mock_app.background_tasks):
+        await task
+    assert (
+        await mock_app.state_manager.get_state(
+            _substate_key(token, BackgroundTaskState)
+        )
+    ).order == [
+        "background_task:start",
+        "other",
+        "background_task:stop",
+        "other",
+        "private",
+    ]
+
+
 @pytest.mark.asyncio
 async def test_background_task_reset(mock_app: rx.App, token: str):
     """Test that a background task calling reset is protected by the state proxy.
@@ -2123,6 +2190,48 @@ def test_mutable_list(mutable_state):
         assert_array_dirty()
 
 
+def test_mutable_list_patch(mutable_state):
+    """Test that only the items appended to a large list are sent.
+
+    Args:
+        mutable_state: A test state.
+    """
+    name = mutable_state.get_full_name()
+    mutable_state.array = list(range(PATCH_MIN_LENGTH))
+    mutable_state._clean()
+
+    mutable_state.array.append(1)
+    mutable_state.array.extend([2, 3])
+    assert mutable_state.get_delta()[name] == {
+        PATCH_KEY: [{"op": "append", "path": "/array", "items": [1, 2, 3]}]
+    }
+    mutable_state._clean()
+
+    # Other changes send the whole list.
+    mutable_state.array.append(4)
+    mutable_state.array.pop(0)
+    mutable_state.array.append(5)
+    assert mutable_state.get_delta()[name] == {
+        "array": [*range(1, PATCH_MIN_LENGTH), 1, 2, 3, 4, 5]
+    }
+    mutable_state._clean()
+
+    mutable_state.array.append(6)
+    mutable_state.array = [0]
+    assert mutable_state.get_delta()[name] == {"array": [0]}
+    mutable_state._clean()
+
+    # As well as appending to small or nested lists.
+    mutable_state.array.append(1)
+    assert mutable_state.get_delta()[name] == {"array": [0, 1]}
+    mutable_state._clean()
+
+    mutable_state.array = [[], *range(PATCH_MIN_LENGTH)]
+    mutable_state._clean()
+    mutable_state.array[0].append(1)
+    assert mutable_state.get_delta()[name] == {"array": [[1], *range(PATCH_MIN_LENGTH)]}
+
+
 def test_mutable_dict(mutable_state):
     """Test that mutable dicts are tracked correctly.
 
@@ -2845,3 +2954,16 @@ def test_potentially_dirty_substates():
     assert RxState._potentially_dirty_substates() == {State}
     assert State._potentially_dirty_substates() == {C1}
     assert C1._potentially_dirty_substates() == set()
+
+
+def test_mark_event_processed():
+    """Test that the events replayed by the frontend are only processed once."""
+    state = RxState(_reflex_internal_init=True)  # type: ignore
+    assert state._mark_event_processed("event-1")
+    assert state._mark_event_processed("event-2")
+    assert not state._mark_event_processed("event-1")
+
+    # Only the last processed events are remembered.
+    for i in range(MAX_PROCESSED_EVENT_IDS):
+        assert state._mark_event_processed(f"other-{i}")
+    assert state._mark_event_processed("event-1")
@@ -503,3 +503,23 @@ def test_evaluate_style_namespaces():
     assert rx.text.__call__ not in style_dict
     style_dict = evaluate_style_namespaces(style_dict)  # type: ignore
     assert rx.text.__call__ in style_dict
+
+
+@pytest.mark.parametrize(
+    "name,expected",
+    [
+        ("system", "() => setColorMode(`system`)"),
+        (Var.create_safe("theme_name"), "() => setColorMode(theme_name)"),
+    ],
+)
+def test_set_color_mode(name, expected):
+    """Test that set_color_mode called with a name selects that name.
+
+    Args:
+        name: The color mode or theme name.
+        expected: The expected function.
+    """
+    assert str(style.set_color_mode) == "{setColorMode}"
+    set_name = style.set_color_mode(name)
+    assert set_name._var_name == expected
+    assert set_name._var_data == style.color_mode_var_data